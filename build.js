@@ -1,5 +1,5 @@
 import * as esbuild from 'esbuild';
-import { chmod, readFile, writeFile, mkdir } from 'fs/promises';
+import { chmod, copyFile, readFile, writeFile, mkdir } from 'fs/promises';
 
 // Ensure build directory exists
 await mkdir('build', { recursive: true });
@@ -11,7 +11,7 @@ await esbuild.build({
   target: 'node18',
   format: 'esm',
   outfile: 'build/index.js',
-  external: ['@modelcontextprotocol/sdk'],
+  external: ['@modelcontextprotocol/sdk', 'yaml'],
 });
 
 // Add shebang and make executable
@@ -21,4 +21,7 @@ if (!content.startsWith('#!/usr/bin/env node')) {
 }
 await chmod('build/index.js', 0o755);
 
+// The Public Suffix List is read at runtime from next to the bundle
+await copyFile('src/data/public_suffix_list.dat', 'build/public_suffix_list.dat');
+
 console.log('Build complete!');
@@ -0,0 +1,6 @@
+import { readFileSync } from 'node:fs';
+
+// build.js copies the list next to the bundle, so this path works from src/data and from build/
+export function readPublicSuffixData() {
+  return readFileSync(new URL('./public_suffix_list.dat', import.meta.url), 'utf-8');
+}
@@ -3,85 +3,274 @@ import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js"
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  McpError,
+  ErrorCode,
 } from "@modelcontextprotocol/sdk/types.js";
 import { DomainLookupTool } from "./tools/domain-lookup.js";
+import { DnsLookupTool } from "./tools/dns-lookup.js";
+import { DomainLookupBatchTool } from "./tools/domain-lookup-batch.js";
+import { AvailabilityCheckTool } from "./tools/availability-check.js";
+import { DomainDiffTool } from "./tools/domain-diff.js";
+import { IpLookupTool } from "./tools/ip-lookup.js";
+import { AsnLookupTool } from "./tools/asn-lookup.js";
+import { NameserverLookupTool } from "./tools/nameserver-lookup.js";
+import { EntityLookupTool } from "./tools/entity-lookup.js";
+import { RdapSearchTool } from "./tools/rdap-search.js";
+import { WatchlistAddTool } from "./tools/watchlist-add.js";
+import { WatchlistRemoveTool } from "./tools/watchlist-remove.js";
+import { WatchlistReportTool } from "./tools/watchlist-report.js";
+import { GenerateLookalikesTool } from "./tools/generate-lookalikes.js";
+import { DomainResources } from "./resources/domain-resources.js";
+import { startHttpServer } from "./transports/http.js";
+import { ERROR_CODES, invalidInput, toLookupError } from "./lib/errors.js";
+import { ConfigError, loadConfig, parseCommandLine, selectTools, VERSION } from "./lib/config.js";
+import { LookupCache } from "./lib/cache.js";
+import { RdapBootstrap } from "./services/rdap-bootstrap.js";
+import { RegistryDetector } from "./services/registry-detector.js";
+import { WatchlistStore } from "./services/watchlist-store.js";
+import { SnapshotStore } from "./services/snapshot-store.js";
+
+// Resource requests fail with a JSON-RPC error rather than an isError result
+function toResourceError(error) {
+  const lookupError = toLookupError(error).toJSON();
+  const code = lookupError.code === ERROR_CODES.INVALID_INPUT ? ErrorCode.InvalidParams : ErrorCode.InternalError;
+  return new McpError(code, `${lookupError.code}: ${lookupError.message}`, lookupError);
+}
 
 /**
  * DomainDetails MCP Server
  * Provides comprehensive domain research tools including RDAP, WHOIS, and DNS lookup
  */
 class DomainDetailsMcpServer {
-  constructor() {
-    this.server = new Server(
+  constructor(config) {
+    // Tools, caches and rate limits are shared by every session
+    const cache = new LookupCache({
+      directory: config.cache.lookup_dir,
+      ttl: config.cache.ttl,
+      negativeTtl: config.cache.negative_ttl,
+      staleTtl: config.cache.stale_ttl
+    });
+    const registryDetector = new RegistryDetector({
+      bootstrap: new RdapBootstrap({
+        cacheDir: config.cache.bootstrap_dir,
+        timeout: config.rdap.timeout_ms,
+        userAgent: config.user_agent,
+      }),
+      rdapOverrides: config.rdap.servers,
+      whoisOverrides: config.whois.servers,
+    });
+    const watchlist = new WatchlistStore({ path: config.watchlist.path });
+
+    const domainLookupTool = new DomainLookupTool({
+      rdap: {
+        registryDetector,
+        cache,
+        timeout: config.rdap.timeout_ms,
+        userAgent: config.user_agent,
+        sources: config.sources,
+      },
+      whois: {
+        registryDetector,
+        cache,
+        timeout: config.whois.timeout_ms,
+        userAgent: config.user_agent,
+        apiUrls: config.whois.api_urls,
+        sources: config.sources,
+      },
+      sources: config.sources,
+      snapshotStore: new SnapshotStore({ dir: config.snapshots.dir, enabled: config.snapshots.enabled }),
+    });
+    const batchTool = new DomainLookupBatchTool(domainLookupTool);
+
+    this.domainLookupTool = domainLookupTool;
+    this.watchlist = watchlist;
+    this.tools = new Map();
+    for (const tool of selectTools([
+      domainLookupTool,
+      batchTool,
+      new AvailabilityCheckTool(domainLookupTool),
+      new DnsLookupTool(),
+      new DomainDiffTool(domainLookupTool),
+      new IpLookupTool(domainLookupTool),
+      new AsnLookupTool(domainLookupTool),
+      new NameserverLookupTool(domainLookupTool),
+      new EntityLookupTool(domainLookupTool),
+      new RdapSearchTool(domainLookupTool),
+      new WatchlistAddTool(domainLookupTool, watchlist),
+      new WatchlistRemoveTool(domainLookupTool, watchlist),
+      new WatchlistReportTool(batchTool, watchlist),
+      new GenerateLookalikesTool(batchTool),
+    ], config.tools)) {
+      this.tools.set(tool.getToolDefinition().name, tool);
+    }
+
+    this.sessions = new Set();
+  }
+
+  // One MCP server per client connection; resource subscriptions are per session
+  createSession() {
+    const server = new Server(
       {
         name: "domaindetails-mcp",
-        version: "1.1.0",
+        version: VERSION,
       },
       {
         capabilities: {
           tools: {},
+          resources: { subscribe: true },
         },
       }
     );
 
-    this.domainLookupTool = new DomainLookupTool();
-    this.setupHandlers();
+    const resources = new DomainResources(this.domainLookupTool, {
+      watchlist: this.watchlist,
+      onUpdated: (uri) => server.sendResourceUpdated({ uri }),
+    });
+
+    this.setupHandlers(server, resources);
+
+    const session = {
+      server,
+      close: async () => {
+        // Closing the server closes its transport, whose onclose calls this again
+        if (!this.sessions.has(session)) return;
+        this.sessions.delete(session);
+        resources.close();
+        await server.close();
+      },
+    };
+    this.sessions.add(session);
+    return session;
   }
 
-  setupHandlers() {
+  setupHandlers(server, resources) {
     // List available tools
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
       return {
-        tools: [this.domainLookupTool.getToolDefinition()],
+        tools: [...this.tools.values()].map((tool) => tool.getToolDefinition()),
       };
     });
 
     // Handle tool execution
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
       const { name, arguments: args } = request.params;
 
       try {
-        switch (name) {
-          case "domain_lookup":
-            const result = await this.domainLookupTool.execute(args);
-            return {
-              content: [
-                {
-                  type: "text",
-                  text: JSON.stringify(result, null, 2),
-                },
-              ],
-            };
-
-          default:
-            throw new Error(`Unknown tool: ${name}`);
+        const tool = this.tools.get(name);
+        if (!tool) {
+          throw invalidInput(`Unknown tool: ${name}`);
         }
+
+        const result = await tool.execute(args || {});
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
       } catch (error) {
         return {
           content: [
             {
               type: "text",
-              text: `Error: ${error.message}`,
+              text: JSON.stringify({ error: toLookupError(error).toJSON() }, null, 2),
             },
           ],
           isError: true,
         };
       }
     });
+
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      return { resources: await resources.list() };
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return { resourceTemplates: resources.listTemplates() };
+    });
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      try {
+        return { contents: await resources.read(request.params.uri) };
+      } catch (error) {
+        throw toResourceError(error);
+      }
+    });
+
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      try {
+        await resources.subscribe(request.params.uri);
+        return {};
+      } catch (error) {
+        throw toResourceError(error);
+      }
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      resources.unsubscribe(request.params.uri);
+      return {};
+    });
   }
 
-  async run() {
-    const transport = new StdioServerTransport();
-    await this.server.connect(transport);
+  async run(config) {
+    if (config.transport === "http") {
+      const { host, port, token } = config.http;
+      this.httpServer = await startHttpServer(() => this.createSession(), { host, port, token });
+      console.error(`DomainDetails MCP Server listening on http://${host}:${port}/mcp (SSE: /sse)`);
+      return;
+    }
+
+    const session = this.createSession();
+    await session.server.connect(new StdioServerTransport());
 
     // Log to stderr so it doesn't interfere with stdio communication
     console.error("DomainDetails MCP Server running on stdio");
   }
+
+  async close() {
+    if (this.httpServer) {
+      await this.httpServer.close();
+    }
+    await Promise.allSettled([...this.sessions].map((session) => session.close()));
+  }
 }
 
-// Start the server
-const server = new DomainDetailsMcpServer();
-server.run().catch((error) => {
-  console.error("Fatal error:", error);
+// Configuration problems are reported together, before anything starts
+let config;
+let server;
+try {
+  config = loadConfig({ cli: parseCommandLine() });
+  server = new DomainDetailsMcpServer(config);
+} catch (error) {
+  console.error(error instanceof ConfigError ? error.message : `Fatal error: ${error.stack || error}`);
   process.exit(1);
-});
+}
+
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.error(`Received ${signal}, shutting down`);
+
+  // Don't let a stuck connection keep the process alive
+  setTimeout(() => process.exit(1), 10000).unref();
+  await server.close();
+  process.exit(0);
+}
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+Promise.resolve()
+  .then(() => server.run(config))
+  .catch((error) => {
+    console.error("Fatal error:", error);
+    process.exit(1);
+  });
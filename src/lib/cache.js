@@ -0,0 +1,191 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, rename, unlink, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { ERROR_CODES, invalidInput, LookupError } from './errors.js';
+
+export const CACHE_MODES = ['prefer', 'bypass', 'only'];
+
+class MemoryCacheBackend {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      // Refresh recency for LRU eviction
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry || null;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+class FileCacheBackend {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  getPath(key) {
+    const hash = createHash('sha256').update(key).digest('hex');
+    return path.join(this.directory, `${hash}.json`);
+  }
+
+  async get(key) {
+    try {
+      const entry = JSON.parse(await readFile(this.getPath(key), 'utf-8'));
+      return entry.key === key ? entry : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async set(key, entry) {
+    const filePath = this.getPath(key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    try {
+      await mkdir(this.directory, { recursive: true });
+      await writeFile(tempPath, JSON.stringify(entry));
+      await rename(tempPath, filePath);
+    } catch (error) {
+      console.warn(`Failed to write lookup cache entry: ${error.message}`);
+    }
+  }
+
+  async delete(key) {
+    await unlink(this.getPath(key)).catch(() => {});
+  }
+}
+
+export class LookupCache {
+  constructor(options = {}) {
+    this.ttl = options.ttl ?? 60 * 60 * 1000; // 1 hour for found domains
+    this.negativeTtl = options.negativeTtl ?? 5 * 60 * 1000; // 5 minutes for not-found answers
+    this.staleTtl = options.staleTtl ?? 24 * 60 * 60 * 1000; // serve stale data for up to a day while revalidating
+
+    this.memory = new MemoryCacheBackend(options.maxEntries || 1000);
+    this.disk = options.directory ? new FileCacheBackend(options.directory) : null;
+    this.inflight = new Map();
+  }
+
+  async get(key) {
+    let entry = await this.memory.get(key);
+
+    if (!entry && this.disk) {
+      entry = await this.disk.get(key);
+      if (entry) await this.memory.set(key, entry);
+    }
+
+    if (entry && entry.staleUntil <= Date.now()) {
+      await this.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  async set(key, value, { negative = false } = {}) {
+    const now = Date.now();
+    const expiresAt = now + (negative ? this.negativeTtl : this.ttl);
+    const entry = {
+      key,
+      value,
+      negative,
+      storedAt: now,
+      expiresAt,
+      staleUntil: expiresAt + this.staleTtl
+    };
+
+    await this.memory.set(key, entry);
+    if (this.disk) await this.disk.set(key, entry);
+
+    return entry;
+  }
+
+  async delete(key) {
+    await this.memory.delete(key);
+    if (this.disk) await this.disk.delete(key);
+  }
+
+  // Resolve key through the cache according to mode:
+  //   prefer - fresh hits are returned, stale hits are returned and refreshed in the background
+  //   bypass - always load, then store the new value
+  //   only   - never load; fail when nothing is cached
+  async getOrLoad(key, loader, { mode = 'prefer', isNegative = () => false } = {}) {
+    if (!CACHE_MODES.includes(mode)) {
+      throw invalidInput(`Invalid cache mode: ${mode} (expected one of ${CACHE_MODES.join(', ')})`);
+    }
+
+    if (mode !== 'bypass') {
+      const entry = await this.get(key);
+
+      if (entry) {
+        const stale = entry.expiresAt <= Date.now();
+        if (stale && mode === 'prefer') {
+          this.load(key, loader, isNegative).catch((error) => {
+            console.warn(`Background refresh of ${key} failed: ${error.message}`);
+          });
+        }
+
+        return {
+          value: structuredClone(entry.value),
+          cache: this.describe(entry, stale ? 'stale' : 'hit')
+        };
+      }
+
+      if (mode === 'only') {
+        throw new LookupError(ERROR_CODES.NOT_FOUND, `No cached result available for ${key}`, {
+          retryable: false,
+          details: { cache: 'only' }
+        });
+      }
+    }
+
+    const entry = await this.load(key, loader, isNegative);
+    return {
+      value: structuredClone(entry.value),
+      cache: this.describe(entry, mode === 'bypass' ? 'bypass' : 'miss')
+    };
+  }
+
+  load(key, loader, isNegative) {
+    // Coalesce concurrent loads of the same key into one upstream request
+    if (!this.inflight.has(key)) {
+      const pending = Promise.resolve()
+        .then(loader)
+        .then((value) => this.set(key, value, { negative: isNegative(value) }))
+        .finally(() => this.inflight.delete(key));
+
+      this.inflight.set(key, pending);
+    }
+
+    return this.inflight.get(key);
+  }
+
+  describe(entry, status) {
+    return {
+      status,
+      ageSeconds: Math.max(0, Math.floor((Date.now() - entry.storedAt) / 1000)),
+      storedAt: new Date(entry.storedAt).toISOString(),
+      expiresAt: new Date(entry.expiresAt).toISOString()
+    };
+  }
+}
+
+// Shared by the RDAP and WHOIS clients unless they are given their own (see cache.lookup_dir in the config)
+export const defaultLookupCache = new LookupCache();
@@ -0,0 +1,47 @@
+// Run worker(item) over items with a global concurrency limit and an optional
+// per-key limit, so items that share a key (e.g. the same registry server) never
+// run more than perKeyConcurrency at a time. Results keep the input order and are
+// settled like Promise.allSettled.
+export async function runWithConcurrency(items, worker, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || 5);
+  const perKeyConcurrency = Math.max(1, options.perKeyConcurrency || concurrency);
+  const keyOf = options.keyOf || (() => null);
+
+  const results = new Array(items.length);
+  const pending = items.map((item, index) => ({ item, index, key: keyOf(item, index) }));
+  const activeByKey = new Map();
+  let active = 0;
+
+  return new Promise((resolve) => {
+    const next = () => {
+      if (pending.length === 0 && active === 0) {
+        resolve(results);
+        return;
+      }
+
+      while (active < concurrency) {
+        // Take the first queued item whose key still has capacity
+        const position = pending.findIndex(({ key }) => key === null || (activeByKey.get(key) || 0) < perKeyConcurrency);
+        if (position === -1) break;
+
+        const [{ item, index, key }] = pending.splice(position, 1);
+        active++;
+        if (key !== null) activeByKey.set(key, (activeByKey.get(key) || 0) + 1);
+
+        Promise.resolve()
+          .then(() => worker(item, index))
+          .then(
+            (value) => { results[index] = { status: 'fulfilled', value }; },
+            (reason) => { results[index] = { status: 'rejected', reason }; }
+          )
+          .finally(() => {
+            active--;
+            if (key !== null) activeByKey.set(key, activeByKey.get(key) - 1);
+            next();
+          });
+      }
+    };
+
+    next();
+  });
+}
@@ -0,0 +1,321 @@
+import { existsSync, readFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { parse as parseYaml } from 'yaml';
+import packageJson from '../../package.json' with { type: 'json' };
+import { SOURCES } from './sources.js';
+import { getDefaultCacheDir } from '../services/rdap-bootstrap.js';
+import { getDefaultDataDir } from '../services/watchlist-store.js';
+
+export const VERSION = packageJson.version;
+
+const ENV_PREFIX = 'DOMAINDETAILS_';
+const CONFIG_FILE_NAMES = ['config.yaml', 'config.yml', 'config.json'];
+
+// Every setting with its config file key, environment variable and default.
+// Precedence: command line, then environment, then config file, then default.
+const SETTINGS = [
+  { key: 'sources', env: 'DOMAINDETAILS_SOURCES', type: 'sources', default: SOURCES },
+  { key: 'rdap.timeout_ms', env: 'DOMAINDETAILS_RDAP_TIMEOUT_MS', type: 'duration', default: 10000 },
+  { key: 'rdap.servers', env: 'DOMAINDETAILS_RDAP_SERVERS', type: 'rdapServers', default: {} },
+  { key: 'whois.timeout_ms', env: 'DOMAINDETAILS_WHOIS_TIMEOUT_MS', type: 'duration', default: 15000 },
+  { key: 'whois.servers', env: 'DOMAINDETAILS_WHOIS_SERVERS', type: 'whoisServers', default: {} },
+  { key: 'whois.api_urls', env: 'DOMAINDETAILS_WHOIS_API_URLS', type: 'urls', default: ['https://api.domaindetails.com/api/whois'] },
+  { key: 'user_agent', env: 'DOMAINDETAILS_USER_AGENT', type: 'string', default: `domaindetails-mcp/${VERSION}` },
+  { key: 'cache.lookup_dir', env: 'DOMAINDETAILS_LOOKUP_CACHE_DIR', type: 'path', default: null },
+  { key: 'cache.ttl', env: 'DOMAINDETAILS_CACHE_TTL', type: 'duration', default: 60 * 60 * 1000 },
+  { key: 'cache.negative_ttl', env: 'DOMAINDETAILS_CACHE_NEGATIVE_TTL', type: 'duration', default: 5 * 60 * 1000 },
+  { key: 'cache.stale_ttl', env: 'DOMAINDETAILS_CACHE_STALE_TTL', type: 'duration', default: 24 * 60 * 60 * 1000 },
+  { key: 'cache.bootstrap_dir', env: 'DOMAINDETAILS_BOOTSTRAP_CACHE_DIR', type: 'path', default: () => getDefaultCacheDir() },
+  { key: 'watchlist.path', env: 'DOMAINDETAILS_WATCHLIST_PATH', type: 'path', default: () => path.join(getDefaultDataDir(), 'watchlist.json') },
+  { key: 'snapshots.enabled', env: 'DOMAINDETAILS_SNAPSHOTS', type: 'boolean', default: false },
+  { key: 'snapshots.dir', env: 'DOMAINDETAILS_SNAPSHOT_DIR', type: 'path', default: () => path.join(getDefaultDataDir(), 'snapshots') },
+  { key: 'tools.enabled', env: 'DOMAINDETAILS_TOOLS', type: 'list', default: null },
+  { key: 'tools.disabled', env: 'DOMAINDETAILS_DISABLED_TOOLS', type: 'list', default: [] },
+  { key: 'transport', env: 'DOMAINDETAILS_TRANSPORT', cli: 'transport', type: 'transport', default: 'stdio' },
+  { key: 'http.host', env: 'DOMAINDETAILS_HTTP_HOST', cli: 'host', type: 'string', default: '127.0.0.1' },
+  { key: 'http.port', env: 'DOMAINDETAILS_HTTP_PORT', cli: 'port', type: 'port', default: 3000 },
+  { key: 'http.token', env: 'DOMAINDETAILS_HTTP_TOKEN', type: 'string', default: null }
+];
+
+const KNOWN_ENV = new Set([`${ENV_PREFIX}CONFIG`, ...SETTINGS.map((setting) => setting.env)]);
+
+// An empty environment variable means "none" for these and "unset" for everything else
+const EMPTY_ALLOWED = new Set(['list', 'urls', 'rdapServers', 'whoisServers']);
+
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Environment variables and command line flags are strings; config files may use native types
+const PARSERS = {
+  string(value) {
+    if (typeof value !== 'string' || !value.trim()) throw new Error('expected a non-empty string');
+    return value.trim();
+  },
+
+  duration(value) {
+    const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+    if (!Number.isInteger(number) || number < 1) throw new Error('expected a whole number of milliseconds');
+    return number;
+  },
+
+  port(value) {
+    const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+    if (!Number.isInteger(number) || number < 0 || number > 65535) throw new Error('expected a port number from 0 to 65535');
+    return number;
+  },
+
+  boolean(value) {
+    if (typeof value === 'boolean') return value;
+    const text = String(value).trim().toLowerCase();
+    if (['1', 'true', 'yes', 'on'].includes(text)) return true;
+    if (['0', 'false', 'no', 'off', ''].includes(text)) return false;
+    throw new Error('expected true or false');
+  },
+
+  transport(value) {
+    if (!['stdio', 'http'].includes(value)) throw new Error('expected stdio or http');
+    return value;
+  },
+
+  path(value, { baseDir }) {
+    const text = PARSERS.string(value);
+    const expanded = text === '~' || text.startsWith('~/') ? path.join(os.homedir(), text.slice(1)) : text;
+    return path.resolve(baseDir, expanded);
+  },
+
+  list(value) {
+    const items = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(items) || items.some((item) => typeof item !== 'string')) {
+      throw new Error('expected a list of names');
+    }
+    return items.map((item) => item.trim()).filter(Boolean);
+  },
+
+  sources(value) {
+    const sources = PARSERS.list(value);
+    const unknown = sources.filter((source) => !SOURCES.includes(source));
+    if (unknown.length > 0) throw new Error(`unknown source(s) ${unknown.join(', ')} (expected ${SOURCES.join(', ')})`);
+    if (sources.length === 0) throw new Error(`expected at least one of ${SOURCES.join(', ')}`);
+    return SOURCES.filter((source) => sources.includes(source));
+  },
+
+  urls(value) {
+    return PARSERS.list(value).map(parseHttpUrl);
+  },
+
+  rdapServers(value) {
+    // RDAP paths are appended to the base URL, so it must end with a slash
+    return parseServerMap(value, (server) => parseHttpUrl(server).replace(/\/?$/, '/'));
+  },
+
+  whoisServers(value) {
+    return parseServerMap(value, (server) => {
+      if (typeof server !== 'string' || !/^[a-z0-9.-]+(:\d+)?$/i.test(server.trim())) {
+        throw new Error(`"${server}" is not a host name or host:port`);
+      }
+      return server.trim().toLowerCase();
+    });
+  }
+};
+
+function parseHttpUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error(`"${value}" is not a URL`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`"${value}" is not an http or https URL`);
+  }
+  return url.toString();
+}
+
+// Per-TLD servers: a { tld: server } mapping in a file, "tld=server,tld=server" in the environment
+function parseServerMap(value, parseServer) {
+  let entries;
+  if (typeof value === 'string') {
+    entries = value.split(',').filter((pair) => pair.trim()).map((pair) => {
+      const index = pair.indexOf('=');
+      if (index < 1) throw new Error(`"${pair.trim()}" is not tld=server`);
+      return [pair.slice(0, index), pair.slice(index + 1)];
+    });
+  } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+    entries = Object.entries(value);
+  } else {
+    throw new Error('expected a mapping of TLD to server');
+  }
+
+  return Object.fromEntries(entries.map(([tld, server]) => [
+    tld.trim().toLowerCase().replace(/^\./, ''),
+    parseServer(server)
+  ]));
+}
+
+function getDefaultConfigDir(env) {
+  const base = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'domaindetails-mcp');
+}
+
+// An explicit path must exist; otherwise the first config file in the default directory is used, if any
+function findConfigFile(explicitPath, env) {
+  if (explicitPath) return path.resolve(explicitPath);
+
+  const dir = getDefaultConfigDir(env);
+  const name = CONFIG_FILE_NAMES.find((candidate) => existsSync(path.join(dir, candidate)));
+  return name ? path.join(dir, name) : null;
+}
+
+function readConfigFile(file) {
+  let text;
+  try {
+    text = readFileSync(file, 'utf-8');
+  } catch (error) {
+    throw new ConfigError([`cannot read config file ${file}: ${error.message}`]);
+  }
+
+  let data;
+  try {
+    data = file.endsWith('.json') ? JSON.parse(text) : parseYaml(text);
+  } catch (error) {
+    throw new ConfigError([`cannot parse config file ${file}: ${error.message}`]);
+  }
+
+  if (data == null) return {};
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new ConfigError([`config file ${file} must contain a mapping of settings`]);
+  }
+  return data;
+}
+
+// Flattens { rdap: { timeout_ms: 1 } } to { 'rdap.timeout_ms': 1 }, stopping at known settings
+// so that values which are themselves mappings (rdap.servers) stay whole
+function flattenFileSettings(data, prefix = '', result = {}) {
+  for (const [name, value] of Object.entries(data)) {
+    const key = prefix ? `${prefix}.${name}` : name;
+    const isSection = SETTINGS.some((setting) => setting.key.startsWith(`${key}.`));
+
+    if (isSection && value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenFileSettings(value, key, result);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+function setPath(target, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  for (const part of parts) {
+    target = target[part] ??= {};
+  }
+  target[last] = value;
+}
+
+// Flags for the settings that have one, plus --config and the --http shorthand.
+// Unknown flags and stray arguments are errors, so a typo is not silently ignored.
+export function parseCommandLine(args = process.argv.slice(2)) {
+  const options = {
+    config: { type: 'string' },
+    http: { type: 'boolean' }
+  };
+  for (const setting of SETTINGS) {
+    if (setting.cli) options[setting.cli] = { type: 'string' };
+  }
+
+  try {
+    return parseArgs({ args, options, strict: true }).values;
+  } catch (error) {
+    const flags = Object.keys(options).map((name) => `--${name}`).join(', ');
+    throw new ConfigError([`${error.message} (options: ${flags})`]);
+  }
+}
+
+// Builds the server configuration from the config file, DOMAINDETAILS_* environment
+// variables and command line flags. Every problem is collected and reported in one
+// ConfigError so a broken setup can be fixed in a single pass.
+export function loadConfig({ cli = {}, env = process.env } = {}) {
+  const problems = [];
+
+  for (const name of Object.keys(env)) {
+    if (name.startsWith(ENV_PREFIX) && !KNOWN_ENV.has(name)) {
+      problems.push(`unknown environment variable ${name}`);
+    }
+  }
+
+  const file = findConfigFile(cli.config || env[`${ENV_PREFIX}CONFIG`], env);
+  const fileSettings = file ? flattenFileSettings(readConfigFile(file)) : {};
+  const known = new Set(SETTINGS.map((setting) => setting.key));
+
+  for (const key of Object.keys(fileSettings)) {
+    if (!known.has(key)) {
+      problems.push(`unknown setting "${key}" in ${file}`);
+    }
+  }
+
+  const config = { file };
+  for (const setting of SETTINGS) {
+    let source = null;
+    let raw;
+    let baseDir = process.cwd();
+
+    if (setting.cli && cli[setting.cli] !== undefined) {
+      source = `--${setting.cli}`;
+      raw = cli[setting.cli];
+    } else if (env[setting.env] !== undefined && (env[setting.env] !== '' || EMPTY_ALLOWED.has(setting.type))) {
+      source = setting.env;
+      raw = env[setting.env];
+    } else if (fileSettings[setting.key] != null) {
+      source = `"${setting.key}" in ${file}`;
+      raw = fileSettings[setting.key];
+      // Relative paths in a config file are relative to the file
+      baseDir = path.dirname(file);
+    }
+
+    let value = typeof setting.default === 'function' ? setting.default() : setting.default;
+    if (source) {
+      try {
+        value = PARSERS[setting.type](raw, { baseDir });
+      } catch (error) {
+        problems.push(`${source}: ${error.message}`);
+      }
+    }
+
+    setPath(config, setting.key, value);
+  }
+
+  if (cli.http) {
+    config.transport = 'http';
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  return config;
+}
+
+// Narrows the available tools to the configured ones, rejecting names that don't exist
+export function selectTools(tools, { enabled, disabled }) {
+  const names = new Set(tools.map((tool) => tool.getToolDefinition().name));
+  const unknown = [...(enabled || []), ...disabled].filter((name) => !names.has(name));
+
+  if (unknown.length > 0) {
+    throw new ConfigError([
+      `unknown tool(s) ${unknown.join(', ')} in tools.enabled/tools.disabled (available: ${[...names].join(', ')})`
+    ]);
+  }
+
+  return tools.filter((tool) => {
+    const { name } = tool.getToolDefinition();
+    return (!enabled || enabled.includes(name)) && !disabled.includes(name);
+  });
+}
@@ -0,0 +1,123 @@
+// Registry date parsing. Registries print dates in dozens of layouts and
+// timezones; everything is converted to ISO 8601 UTC ("2024-01-02T03:04:05Z").
+// Dates without a timezone are taken as UTC.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+// Offsets in minutes for the abbreviations registries actually print
+const TIMEZONES = {
+  z: 0, utc: 0, gmt: 0, ut: 0,
+  jst: 540, kst: 540, hkt: 480, sgt: 480, awst: 480,
+  aest: 600, aedt: 660, nzst: 720, nzdt: 780,
+  wet: 0, west: 60, bst: 60, cet: 60, cest: 120, met: 60, mest: 120,
+  eet: 120, eest: 180, msk: 180,
+  est: -300, edt: -240, cst: -360, cdt: -300, mst: -420, mdt: -360, pst: -480, pdt: -420
+};
+
+const MONTH_NAME = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+const TIME = '(\\d{1,2}):(\\d{2})(?::(\\d{2})(?:[.,](\\d+))?)?';
+
+// Each layout yields [year, month, day, hour, minute, second, fraction] from its match
+const LAYOUTS = [
+  // 2024-01-02, 2024-01-02T03:04:05, 2024-01-02 03:04:05.123
+  [new RegExp(`^(\\d{4})-(\\d{1,2})-(\\d{1,2})(?:[t\\s]+${TIME})?$`), (m) => [m[1], m[2], m[3], m[4], m[5], m[6], m[7]]],
+  // 2024/01/02, 2024.01.02 and the Korean "2024. 01. 02."
+  [new RegExp(`^(\\d{4})[/.]\\s*(\\d{1,2})[/.]\\s*(\\d{1,2})\\.?(?:\\s+${TIME})?$`), (m) => [m[1], m[2], m[3], m[4], m[5], m[6], m[7]]],
+  // 2024年01月02日
+  [new RegExp(`^(\\d{4})年\\s*(\\d{1,2})月\\s*(\\d{1,2})日(?:\\s*${TIME})?$`), (m) => [m[1], m[2], m[3], m[4], m[5], m[6], m[7]]],
+  // 20240102, 20240102 10:00:00
+  [new RegExp(`^(\\d{4})(\\d{2})(\\d{2})(?:\\s+${TIME})?$`), (m) => [m[1], m[2], m[3], m[4], m[5], m[6], m[7]]],
+  // 02-Jan-2024, 02 Jan 2024 03:04:05
+  [new RegExp(`^(\\d{1,2})[-\\s./]+${MONTH_NAME}[-\\s./,]+(\\d{4})(?:\\s+${TIME})?$`), (m) => [m[3], m[2], m[1], m[4], m[5], m[6], m[7]]],
+  // Jan 02 2024, January 2, 2024
+  [new RegExp(`^${MONTH_NAME}\\s+(\\d{1,2}),?\\s+(\\d{4})(?:\\s+${TIME})?$`), (m) => [m[3], m[1], m[2], m[4], m[5], m[6], m[7]]],
+  // Jan 02 03:04:05 2024 (C asctime / Java Date.toString after the zone is removed)
+  [new RegExp(`^${MONTH_NAME}\\s+(\\d{1,2})\\s+${TIME}\\s+(\\d{4})$`), (m) => [m[7], m[1], m[2], m[3], m[4], m[5], m[6]]],
+  // 02.01.2024, 02-01-2024, 02/01/2024: day first, as used by every European registry
+  [new RegExp(`^(\\d{1,2})[./-](\\d{1,2})[./-](\\d{4})(?:\\s+${TIME})?$`), (m) => [m[3], m[2], m[1], m[4], m[5], m[6], m[7]]]
+];
+
+// Split a trailing timezone off the string; returns [rest, offsetMinutes]
+function extractTimezone(text) {
+  // "(JST)" and similar parenthesised zones
+  let match = text.match(/^(.*?)\s*\(([a-z]{1,5})\)$/);
+  if (match && match[2] in TIMEZONES) return [match[1], TIMEZONES[match[2]]];
+
+  // "UTC+8", "GMT-05:00", "(UTC+05:30)": the prefix makes the offset unambiguous
+  match = text.match(/^(.*?)\s*\(?(?:utc|gmt)\s*([+-])(\d{1,2})(?::?(\d{2}))?\)?$/);
+  if (match) return [match[1], toOffsetMinutes(match[2], match[3], match[4])];
+
+  // Bare numeric offsets, only after a time so "01-01-2000" keeps its year
+  match = text.match(/^(.*\d:\d{2}(?::\d{2}(?:[.,]\d+)?)?)\s*([+-])(\d{2}):?(\d{2})?$/);
+  if (match) return [match[1], toOffsetMinutes(match[2], match[3], match[4])];
+
+  // Zone names anywhere as a separate word ("... 03:04:05 GMT 2024", "... 00:00:00 EET")
+  for (match of text.matchAll(/(?:^|[\s\d])(z|[a-z]{2,5})(?=\s|$)/g)) {
+    if (!(match[1] in TIMEZONES)) continue;
+
+    const rest = `${text.slice(0, match.index)}${text.slice(match.index).replace(match[1], '')}`;
+    return [rest.replace(/\s+/g, ' ').trim(), TIMEZONES[match[1]]];
+  }
+
+  return [text, 0];
+}
+
+function toOffsetMinutes(sign, hours, minutes = 0) {
+  const offset = Number(hours) * 60 + Number(minutes);
+  return sign === '-' ? -offset : offset;
+}
+
+export function parseRegistryDate(value) {
+  if (value == null || value === '') return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : formatIsoDate(value);
+
+  let text = String(value).trim().toLowerCase()
+    .replace(/^(mon|tue|wed|thu|fri|sat|sun)[a-z]*,?\s+/, '') // weekday prefix
+    .replace(/\s+/g, ' ');
+
+  const [rest, offset] = extractTimezone(text);
+  text = rest.replace(/(\d)z$/, '$1').trim();
+
+  for (const [pattern, fields] of LAYOUTS) {
+    const match = text.match(pattern);
+    if (!match) continue;
+
+    const [year, month, day, hour = 0, minute = 0, second = 0, fraction = '0'] = fields(match);
+    const monthNumber = MONTHS[String(month).slice(0, 3)] || Number(month);
+    const ms = Math.round(Number(`0.${fraction}`) * 1000);
+
+    const time = Date.UTC(Number(year), monthNumber - 1, Number(day), Number(hour), Number(minute), Number(second), ms);
+    const date = new Date(time);
+
+    // Reject rollovers such as 31.02.2024 instead of silently moving to March
+    if (isNaN(time) || date.getUTCDate() !== Number(day) || date.getUTCMonth() !== monthNumber - 1) {
+      return null;
+    }
+
+    return formatIsoDate(new Date(time - offset * 60 * 1000));
+  }
+
+  return null;
+}
+
+export function formatIsoDate(date) {
+  // Whole seconds are enough for registration data
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// Whole days from created until now and from now until expires; negative
+// days_until_expiry means the registration has lapsed
+export function computeLifecycle(dates = {}, now = Date.now()) {
+  const created = Date.parse(parseRegistryDate(dates.created) || '');
+  const expires = Date.parse(parseRegistryDate(dates.expires) || '');
+
+  return {
+    domain_age_days: isNaN(created) ? null : Math.floor((now - created) / DAY_MS),
+    days_until_expiry: isNaN(expires) ? null : Math.floor((expires - now) / DAY_MS)
+  };
+}
@@ -0,0 +1,291 @@
+import dgram from 'node:dgram';
+import net from 'node:net';
+import { randomInt } from 'node:crypto';
+
+// Minimal DNS wire-format client for record types node:dns cannot resolve (DS, DNSKEY)
+// and for the ones whose TTLs node:dns does not report
+
+export const RECORD_TYPE_CODES = {
+  NS: 2,
+  CNAME: 5,
+  SOA: 6,
+  MX: 15,
+  TXT: 16,
+  SRV: 33,
+  DS: 43,
+  DNSKEY: 48,
+  CAA: 257
+};
+
+const RCODES = ['NOERROR', 'FORMERR', 'SERVFAIL', 'NXDOMAIN', 'NOTIMP', 'REFUSED'];
+
+export async function queryRaw(server, name, type, options = {}) {
+  const timeout = options.timeout || 5000;
+  const { host, port } = parseServerAddress(server);
+  const query = buildQuery(name, RECORD_TYPE_CODES[type]);
+
+  let response = await sendUdp(host, port, query, timeout);
+
+  // Truncated answers (large DNSKEY sets) must be retried over TCP
+  if (response.readUInt16BE(2) & 0x0200) {
+    response = await sendTcp(host, port, query, timeout);
+  }
+
+  return parseResponse(response, RECORD_TYPE_CODES[type]);
+}
+
+export function parseServerAddress(server) {
+  const bracketed = server.match(/^\[([^\]]+)\](?::(\d+))?$/);
+  if (bracketed) {
+    return { host: bracketed[1], port: Number(bracketed[2] || 53) };
+  }
+
+  // A bare IPv6 address contains several colons and no port
+  const hostPort = server.match(/^([^:]+):(\d+)$/);
+  if (hostPort) {
+    return { host: hostPort[1], port: Number(hostPort[2]) };
+  }
+
+  return { host: server, port: 53 };
+}
+
+function buildQuery(name, typeCode) {
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(randomInt(0, 0x10000), 0);
+  header.writeUInt16BE(0x0100, 2); // recursion desired
+  header.writeUInt16BE(1, 4); // one question
+  header.writeUInt16BE(1, 10); // one additional record (EDNS0)
+
+  const labels = name.replace(/\.$/, '').split('.').filter(Boolean);
+  const qname = Buffer.concat([
+    ...labels.map((label) => Buffer.concat([Buffer.from([label.length]), Buffer.from(label, 'ascii')])),
+    Buffer.from([0])
+  ]);
+
+  const question = Buffer.alloc(4);
+  question.writeUInt16BE(typeCode, 0);
+  question.writeUInt16BE(1, 2); // class IN
+
+  // OPT pseudo-record advertising a 4096 byte UDP payload
+  const opt = Buffer.from([0, 0, 41, 0x10, 0x00, 0, 0, 0, 0, 0, 0]);
+
+  return Buffer.concat([header, qname, question, opt]);
+}
+
+function sendUdp(host, port, query, timeout) {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+    const timer = setTimeout(() => {
+      socket.close();
+      reject(Object.assign(new Error(`DNS query to ${host} timed out after ${timeout}ms`), { code: 'ETIMEOUT' }));
+    }, timeout);
+
+    socket.on('message', (message) => {
+      if (message.readUInt16BE(0) !== query.readUInt16BE(0)) return;
+      clearTimeout(timer);
+      socket.close();
+      resolve(message);
+    });
+
+    socket.on('error', (error) => {
+      clearTimeout(timer);
+      socket.close();
+      reject(error);
+    });
+
+    socket.send(query, port, host);
+  });
+}
+
+function sendTcp(host, port, query, timeout) {
+  return new Promise((resolve, reject) => {
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(query.length, 0);
+
+    let settled = false;
+    const settle = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      callback(value);
+    };
+
+    const chunks = [];
+    const socket = net.createConnection({ host, port }, () => socket.write(Buffer.concat([length, query])));
+    socket.setTimeout(timeout, () => {
+      socket.destroy();
+      settle(reject, Object.assign(new Error(`DNS query to ${host} timed out after ${timeout}ms`), { code: 'ETIMEOUT' }));
+    });
+
+    socket.on('data', (chunk) => {
+      chunks.push(chunk);
+      const buffer = Buffer.concat(chunks);
+      if (buffer.length >= 2 && buffer.length >= buffer.readUInt16BE(0) + 2) {
+        socket.end();
+        settle(resolve, buffer.subarray(2, buffer.readUInt16BE(0) + 2));
+      }
+    });
+
+    socket.on('error', (error) => settle(reject, error));
+
+    // The server hung up before sending a complete answer
+    socket.on('close', () => {
+      settle(reject, Object.assign(new Error(`DNS server ${host} closed the connection before answering`), { code: 'ECONNRESET' }));
+    });
+  });
+}
+
+function parseResponse(buffer, typeCode) {
+  if (buffer.length < 12) throw badResponse('the header is truncated');
+
+  const rcode = buffer.readUInt16BE(2) & 0x000f;
+  if (rcode !== 0) {
+    const code = rcode === 3 ? 'ENOTFOUND' : RCODES[rcode] || `RCODE${rcode}`;
+    throw Object.assign(new Error(`DNS query failed with ${RCODES[rcode] || rcode}`), { code });
+  }
+
+  const questions = buffer.readUInt16BE(4);
+  const answers = buffer.readUInt16BE(6);
+  let offset = 12;
+
+  for (let i = 0; i < questions; i++) {
+    offset = skipName(buffer, offset) + 4;
+  }
+
+  const records = [];
+  for (let i = 0; i < answers; i++) {
+    offset = skipName(buffer, offset);
+    if (offset + 10 > buffer.length) throw badResponse('the answer section is truncated');
+
+    const type = buffer.readUInt16BE(offset);
+    const ttl = buffer.readUInt32BE(offset + 4);
+    const length = buffer.readUInt16BE(offset + 8);
+    if (offset + 10 + length > buffer.length) throw badResponse('record data is truncated');
+
+    const rdata = buffer.subarray(offset + 10, offset + 10 + length);
+    offset += 10 + length;
+
+    if (type !== typeCode) continue;
+
+    try {
+      records.push({ ...RDATA_PARSERS[typeCode](buffer, offset - length, rdata), ttl });
+    } catch (error) {
+      if (error.code === 'EBADRESP') throw error;
+      throw badResponse(`invalid record data for type ${typeCode}`);
+    }
+  }
+
+  return records;
+}
+
+function badResponse(reason) {
+  return Object.assign(new Error(`Malformed DNS response: ${reason}`), { code: 'EBADRESP' });
+}
+
+// Record data parsers by type code. Names are read from the whole message because
+// they may be compressed into pointers to earlier names.
+const RDATA_PARSERS = {
+  [RECORD_TYPE_CODES.NS]: (buffer, offset) => ({ value: readName(buffer, offset).name }),
+
+  [RECORD_TYPE_CODES.CNAME]: (buffer, offset) => ({ value: readName(buffer, offset).name }),
+
+  [RECORD_TYPE_CODES.SOA]: (buffer, offset) => {
+    const primary = readName(buffer, offset);
+    const hostmaster = readName(buffer, primary.end);
+    const fields = hostmaster.end;
+    return {
+      primaryNameserver: primary.name,
+      hostmaster: hostmaster.name,
+      serial: buffer.readUInt32BE(fields),
+      refresh: buffer.readUInt32BE(fields + 4),
+      retry: buffer.readUInt32BE(fields + 8),
+      expire: buffer.readUInt32BE(fields + 12),
+      minimumTtl: buffer.readUInt32BE(fields + 16)
+    };
+  },
+
+  [RECORD_TYPE_CODES.MX]: (buffer, offset) => ({
+    priority: buffer.readUInt16BE(offset),
+    exchange: readName(buffer, offset + 2).name
+  }),
+
+  [RECORD_TYPE_CODES.TXT]: (buffer, offset, rdata) => {
+    const chunks = [];
+    for (let position = 0; position < rdata.length; position += rdata[position] + 1) {
+      if (position + 1 + rdata[position] > rdata.length) throw badResponse('a TXT string is truncated');
+      chunks.push(rdata.subarray(position + 1, position + 1 + rdata[position]));
+    }
+    return { value: Buffer.concat(chunks).toString('utf-8') };
+  },
+
+  [RECORD_TYPE_CODES.SRV]: (buffer, offset) => ({
+    priority: buffer.readUInt16BE(offset),
+    weight: buffer.readUInt16BE(offset + 2),
+    port: buffer.readUInt16BE(offset + 4),
+    target: readName(buffer, offset + 6).name
+  }),
+
+  [RECORD_TYPE_CODES.DS]: (buffer, offset, rdata) => ({
+    keyTag: rdata.readUInt16BE(0),
+    algorithm: rdata.readUInt8(2),
+    digestType: rdata.readUInt8(3),
+    digest: rdata.subarray(4).toString('hex').toUpperCase()
+  }),
+
+  [RECORD_TYPE_CODES.DNSKEY]: (buffer, offset, rdata) => ({
+    flags: rdata.readUInt16BE(0),
+    protocol: rdata.readUInt8(2),
+    algorithm: rdata.readUInt8(3),
+    publicKey: rdata.subarray(4).toString('base64')
+  }),
+
+  [RECORD_TYPE_CODES.CAA]: (buffer, offset, rdata) => {
+    const tagLength = rdata.readUInt8(1);
+    return {
+      flags: rdata[0],
+      tag: rdata.subarray(2, 2 + tagLength).toString('ascii'),
+      value: rdata.subarray(2 + tagLength).toString('utf-8')
+    };
+  }
+};
+
+// Reads a possibly compressed name; end is the offset just past it in the record
+function readName(buffer, offset) {
+  const labels = [];
+  let end = null;
+  let jumps = 0;
+
+  while (true) {
+    if (offset >= buffer.length) throw badResponse('a name runs past the end of the message');
+
+    const length = buffer[offset];
+    if (length === 0) {
+      end ??= offset + 1;
+      break;
+    }
+    if ((length & 0xc0) === 0xc0) {
+      // Guard against pointer loops in malformed answers
+      if (++jumps > 64) throw badResponse('name compression pointers loop');
+      if (offset + 2 > buffer.length) throw badResponse('a name runs past the end of the message');
+      end ??= offset + 2;
+      offset = buffer.readUInt16BE(offset) & 0x3fff;
+      continue;
+    }
+    if (length > 63) throw badResponse(`invalid label length ${length}`);
+
+    labels.push(buffer.subarray(offset + 1, offset + 1 + length).toString('ascii'));
+    offset += length + 1;
+  }
+
+  return { name: labels.join('.').toLowerCase(), end };
+}
+
+function skipName(buffer, offset) {
+  while (offset < buffer.length) {
+    const length = buffer[offset];
+    if (length === 0) return offset + 1;
+    // Compression pointer ends the name
+    if ((length & 0xc0) === 0xc0) return offset + 2;
+    offset += length + 1;
+  }
+  throw badResponse('a name runs past the end of the message');
+}
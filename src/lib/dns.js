@@ -0,0 +1,120 @@
+import { Resolver } from 'node:dns/promises';
+import { normalizeDomain } from './idn.js';
+import { queryRaw, RECORD_TYPE_CODES } from './dns-wire.js';
+import { invalidInput } from './errors.js';
+import { recordHost } from './sources.js';
+
+export const DNS_RECORD_TYPES = ['A', 'AAAA', 'MX', 'NS', 'TXT', 'SOA', 'CAA', 'CNAME', 'SRV', 'DS', 'DNSKEY'];
+
+// Resolver error codes that simply mean "no records of this type"
+const EMPTY_ANSWER_CODES = new Set(['ENODATA', 'ENOTFOUND']);
+
+export class DnsClient {
+  constructor() {
+    this.timeout = 5000; // 5 seconds per query
+  }
+
+  createResolver(server) {
+    const resolver = new Resolver({ timeout: this.timeout, tries: 2 });
+    if (server) {
+      resolver.setServers([server]);
+    }
+    return resolver;
+  }
+
+  async lookup(domain, recordTypes = DNS_RECORD_TYPES, options = {}) {
+    const name = normalizeDomain(domain, { allowUnderscore: true });
+    const types = [...new Set(recordTypes.map((type) => String(type).toUpperCase()))];
+
+    const unsupported = types.filter((type) => !DNS_RECORD_TYPES.includes(type));
+    if (unsupported.length > 0) {
+      throw invalidInput(`Unsupported DNS record type(s): ${unsupported.join(', ')}`);
+    }
+
+    let resolver;
+    try {
+      resolver = this.createResolver(options.resolver);
+    } catch (error) {
+      throw invalidInput(`Invalid resolver address: ${options.resolver}`);
+    }
+
+    const result = {
+      domain: name.ascii,
+      unicodeName: name.unicode,
+      resolvers: resolver.getServers(),
+      records: {},
+      errors: {}
+    };
+
+    if (name.warnings.length > 0) {
+      result.idnWarnings = name.warnings;
+    }
+
+    let nxdomain = false;
+
+    const answers = await Promise.all(types.map(async (type) => {
+      try {
+        return { type, records: await this.resolveType(resolver, name.ascii, type) };
+      } catch (error) {
+        return { type, error };
+      }
+    }));
+
+    // Keep the record types in the order they were requested
+    for (const { type, records, error } of answers) {
+      if (!error) {
+        result.records[type] = records;
+      } else if (EMPTY_ANSWER_CODES.has(error.code)) {
+        result.records[type] = [];
+        if (error.code === 'ENOTFOUND') nxdomain = true;
+      } else {
+        result.errors[type] = `${error.code || 'ERROR'}: ${error.message}`;
+      }
+    }
+
+    result.nxdomain = nxdomain;
+    if (Object.keys(result.errors).length === 0) {
+      delete result.errors;
+    }
+
+    return result;
+  }
+
+  async resolveType(resolver, domain, type) {
+    // node:dns only reports TTLs for A/AAAA; every other type is read off the wire
+    switch (type) {
+      // The resolver library picks among its servers itself, so all of them count as contacted
+      case 'A':
+        resolver.getServers().forEach((server) => recordHost('dns', server));
+        return (await resolver.resolve4(domain, { ttl: true })).map(({ address, ttl }) => ({ value: address, ttl }));
+
+      case 'AAAA':
+        resolver.getServers().forEach((server) => recordHost('dns', server));
+        return (await resolver.resolve6(domain, { ttl: true })).map(({ address, ttl }) => ({ value: address, ttl }));
+
+      case 'MX':
+        return (await this.resolveRaw(resolver, domain, type)).sort((a, b) => a.priority - b.priority);
+
+      default:
+        return this.resolveRaw(resolver, domain, type);
+    }
+  }
+
+  async resolveRaw(resolver, domain, type) {
+    // Ask the same upstream servers the resolver would use
+    const servers = resolver.getServers();
+    let lastError;
+
+    for (const server of servers) {
+      try {
+        recordHost('dns', server);
+        return await queryRaw(server, domain, type, { timeout: this.timeout });
+      } catch (error) {
+        if (EMPTY_ANSWER_CODES.has(error.code)) throw error;
+        lastError = error;
+      }
+    }
+
+    throw lastError || new Error(`No DNS servers available for ${type} (${RECORD_TYPE_CODES[type]}) lookup`);
+  }
+}
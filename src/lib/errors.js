@@ -0,0 +1,84 @@
+// Machine-readable failure categories returned to MCP clients
+export const ERROR_CODES = {
+  INVALID_INPUT: 'invalid_input',
+  UNSUPPORTED_TLD: 'unsupported_tld',
+  TIMEOUT: 'timeout',
+  RATE_LIMITED: 'rate_limited',
+  UPSTREAM_ERROR: 'upstream_error',
+  NOT_FOUND: 'not_found',
+  SOURCE_DISABLED: 'source_disabled'
+};
+
+// Whether trying the same request again later can succeed
+const RETRYABLE_CODES = new Set([ERROR_CODES.TIMEOUT, ERROR_CODES.RATE_LIMITED, ERROR_CODES.UPSTREAM_ERROR]);
+
+export class LookupError extends Error {
+  constructor(code, message, options = {}) {
+    super(message);
+    this.name = 'LookupError';
+    this.code = code;
+    this.protocol = options.protocol || null;
+    this.server = options.server || null;
+    this.httpStatus = options.httpStatus || null;
+    this.retryable = options.retryable ?? RETRYABLE_CODES.has(code);
+    this.details = options.details || null;
+    if (options.requestLog) this.requestLog = options.requestLog;
+  }
+
+  toJSON() {
+    const json = {
+      code: this.code,
+      message: this.message,
+      retryable: this.retryable
+    };
+
+    if (this.protocol) json.protocol = this.protocol;
+    if (this.server) json.server = this.server;
+    if (this.httpStatus) json.http_status = this.httpStatus;
+    if (this.details) json.details = this.details;
+
+    return json;
+  }
+}
+
+export function invalidInput(message, options) {
+  return new LookupError(ERROR_CODES.INVALID_INPUT, message, options);
+}
+
+// Wrap anything thrown by lower layers so callers always get a LookupError
+export function toLookupError(error, defaults = {}) {
+  if (error instanceof LookupError) return error;
+
+  const message = error?.message || String(error);
+  const options = { ...defaults, requestLog: error?.requestLog };
+
+  if (error?.name === 'TimeoutError' || error?.code === 'ETIMEOUT') {
+    return new LookupError(ERROR_CODES.TIMEOUT, message, options);
+  }
+
+  return new LookupError(ERROR_CODES.UPSTREAM_ERROR, message, {
+    ...options,
+    httpStatus: error?.status || defaults.httpStatus
+  });
+}
+
+// Pick the single code that best describes several failed attempts (e.g. RDAP and WHOIS)
+export function combineErrors(message, errors) {
+  const codes = errors.map((error) => error.code);
+  const precedence = [
+    ERROR_CODES.INVALID_INPUT,
+    ERROR_CODES.RATE_LIMITED,
+    ERROR_CODES.TIMEOUT,
+    ERROR_CODES.UPSTREAM_ERROR,
+    ERROR_CODES.NOT_FOUND,
+    ERROR_CODES.SOURCE_DISABLED,
+    ERROR_CODES.UNSUPPORTED_TLD
+  ];
+
+  const code = precedence.find((candidate) => codes.includes(candidate)) || ERROR_CODES.UPSTREAM_ERROR;
+
+  return new LookupError(code, message, {
+    retryable: errors.some((error) => error.retryable),
+    details: { errors: errors.map((error) => error.toJSON()) }
+  });
+}
@@ -0,0 +1,123 @@
+import { domainToASCII, domainToUnicode } from 'node:url';
+import { invalidInput } from './errors.js';
+
+const LDH_DOMAIN = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i;
+
+// DNS owner names may also carry underscore labels such as _dmarc or _sip._tcp
+const DNS_NAME = /^[a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9])?(\.[a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9])?)*$/i;
+
+// Non-Latin characters that render (nearly) identically to a Latin letter
+export const CONFUSABLES = new Map([
+  // Cyrillic
+  ['а', 'a'], ['в', 'b'], ['с', 'c'], ['ԁ', 'd'], ['е', 'e'], ['һ', 'h'], ['і', 'i'], ['ј', 'j'],
+  ['к', 'k'], ['ӏ', 'l'], ['м', 'm'], ['н', 'h'], ['о', 'o'], ['р', 'p'], ['ԛ', 'q'], ['ѕ', 's'],
+  ['т', 't'], ['у', 'y'], ['ԝ', 'w'], ['х', 'x'], ['ү', 'y'], ['ɡ', 'g'],
+  // Greek
+  ['α', 'a'], ['β', 'b'], ['ε', 'e'], ['η', 'n'], ['ι', 'i'], ['κ', 'k'], ['ν', 'v'], ['ο', 'o'],
+  ['ρ', 'p'], ['τ', 't'], ['υ', 'u'], ['χ', 'x'], ['γ', 'y'],
+  // Armenian
+  ['օ', 'o'], ['ս', 'u'], ['հ', 'h'], ['ո', 'n'], ['ց', 'g'], ['զ', 'q']
+]);
+
+const SCRIPTS = [
+  'Latin', 'Cyrillic', 'Greek', 'Armenian', 'Georgian', 'Hebrew', 'Arabic', 'Thai', 'Devanagari',
+  'Bengali', 'Tamil', 'Han', 'Hiragana', 'Katakana', 'Hangul', 'Bopomofo'
+].map((name) => ({ name, pattern: new RegExp(`\\p{Script=${name}}`, 'u') }));
+
+// Script combinations that are normal within a single label (UTS #39 "highly restrictive")
+const ALLOWED_COMBINATIONS = [
+  ['Latin', 'Han', 'Hiragana', 'Katakana'],
+  ['Latin', 'Han', 'Bopomofo'],
+  ['Latin', 'Han', 'Hangul']
+];
+
+export function normalizeDomain(domain, options = {}) {
+  if (!domain || typeof domain !== 'string') {
+    throw invalidInput('Invalid domain provided');
+  }
+
+  const input = domain.trim().replace(/\.$/, '');
+
+  // UTS #46 processing (case folding, width mapping, punycode) as done by browsers
+  const ascii = domainToASCII(input);
+  const pattern = options.allowUnderscore ? DNS_NAME : LDH_DOMAIN;
+  if (!ascii || ascii.length > 253 || !pattern.test(ascii)) {
+    throw invalidInput(`Invalid domain format: ${domain}`);
+  }
+
+  const unicode = domainToUnicode(ascii) || ascii;
+  const isIdn = ascii.split('.').some((label) => label.startsWith('xn--'));
+
+  return {
+    input,
+    ascii,
+    unicode,
+    isIdn,
+    warnings: isIdn ? analyzeLabels(unicode) : []
+  };
+}
+
+// Record how the queried registrable domain relates to what the caller asked for
+export function annotateDomainNames(result, name, { registrableDomain, subdomain }) {
+  result.ldhName = result.ldhName || registrableDomain;
+  result.unicodeName = result.unicodeName || toUnicode(registrableDomain);
+
+  if (name.ascii !== registrableDomain) {
+    result.inputDomain = name.input;
+    result.subdomain = subdomain;
+  }
+  if (name.warnings.length > 0) {
+    result.idnWarnings = name.warnings;
+  }
+
+  return result;
+}
+
+export function toUnicode(domain) {
+  return (domain && domainToUnicode(domain)) || domain;
+}
+
+export function getScripts(label) {
+  const scripts = new Set();
+
+  for (const char of label) {
+    const script = SCRIPTS.find(({ pattern }) => pattern.test(char));
+    if (script) scripts.add(script.name);
+  }
+
+  return [...scripts];
+}
+
+export function analyzeLabels(unicodeDomain) {
+  const warnings = [];
+
+  for (const label of unicodeDomain.split('.')) {
+    if (/^[\x00-\x7f]*$/.test(label)) continue;
+
+    const scripts = getScripts(label);
+    const allowed = ALLOWED_COMBINATIONS.some((combo) => scripts.every((script) => combo.includes(script)));
+
+    if (scripts.length > 1 && !allowed) {
+      warnings.push({
+        label,
+        type: 'mixed_script',
+        scripts,
+        message: `Label "${label}" mixes ${scripts.join(', ')} characters`
+      });
+    }
+
+    // A label that can be spelled entirely with Latin lookalikes is a likely spoof
+    const skeleton = [...label].map((char) => CONFUSABLES.get(char) || char).join('');
+    if (skeleton !== label && /^[a-z0-9-]+$/.test(skeleton)) {
+      warnings.push({
+        label,
+        type: 'confusable',
+        scripts,
+        skeleton,
+        message: `Label "${label}" is visually confusable with "${skeleton}"`
+      });
+    }
+  }
+
+  return warnings;
+}
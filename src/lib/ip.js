@@ -0,0 +1,87 @@
+// Helpers for matching IP addresses against CIDR blocks using BigInt arithmetic
+
+export function parseIp(address) {
+  if (!address || typeof address !== 'string') return null;
+
+  const clean = address.trim();
+
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(clean)) {
+    const value = parseIpv4Value(clean);
+    return value === null ? null : { version: 4, value, bits: 32 };
+  }
+
+  if (clean.includes(':')) {
+    const value = parseIpv6Value(clean);
+    return value === null ? null : { version: 6, value, bits: 128 };
+  }
+
+  return null;
+}
+
+export function parseCidr(cidr) {
+  if (!cidr || typeof cidr !== 'string') return null;
+
+  const [address, prefixText] = cidr.trim().split('/');
+  const ip = parseIp(address);
+  if (!ip) return null;
+
+  const prefix = prefixText === undefined ? ip.bits : Number(prefixText);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > ip.bits) return null;
+
+  const hostBits = BigInt(ip.bits - prefix);
+  const network = (ip.value >> hostBits) << hostBits;
+
+  return {
+    version: ip.version,
+    prefix,
+    network,
+    broadcast: network + (1n << hostBits) - 1n
+  };
+}
+
+export function cidrContains(block, ip) {
+  return block.version === ip.version && ip.value >= block.network && ip.value <= block.broadcast;
+}
+
+function parseIpv4Value(address) {
+  let value = 0n;
+
+  for (const part of address.split('.')) {
+    const octet = Number(part);
+    if (octet > 255) return null;
+    value = (value << 8n) + BigInt(octet);
+  }
+
+  return value;
+}
+
+function parseIpv6Value(address) {
+  let text = address.toLowerCase().replace(/%.*$/, '');
+
+  // Embedded IPv4 tail (e.g. ::ffff:192.0.2.1)
+  const ipv4Tail = text.match(/(\d{1,3}(\.\d{1,3}){3})$/);
+  if (ipv4Tail) {
+    const value = parseIpv4Value(ipv4Tail[1]);
+    if (value === null) return null;
+    text = text.slice(0, -ipv4Tail[1].length) + `${(value >> 16n).toString(16)}:${(value & 0xffffn).toString(16)}`;
+  }
+
+  const halves = text.split('::');
+  if (halves.length > 2) return null;
+
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+
+  const groups = [...head, ...new Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  let value = 0n;
+
+  for (const group of groups) {
+    if (!/^[0-9a-f]{1,4}$/.test(group)) return null;
+    value = (value << 16n) + BigInt(parseInt(group, 16));
+  }
+
+  return value;
+}
@@ -0,0 +1,158 @@
+import { CONFUSABLES, normalizeDomain } from './idn.js';
+
+export const LOOKALIKE_KINDS = [
+  'omission',
+  'transposition',
+  'homoglyph',
+  'bitsquatting',
+  'hyphenation',
+  'tld_swap',
+  'dictionary'
+];
+
+// Suffixes tried by tld_swap unless the caller names its own
+export const DEFAULT_SWAP_TLDS = [
+  'com', 'net', 'org', 'info', 'biz', 'co', 'io', 'ai', 'app', 'dev', 'me', 'xyz', 'online',
+  'site', 'shop', 'store', 'tech', 'us', 'eu', 'de', 'uk', 'co.uk', 'ca', 'cn', 'ru'
+];
+
+// Words phishing domains commonly add to a brand
+export const DEFAULT_WORDS = [
+  'login', 'secure', 'account', 'support', 'help', 'mail', 'online', 'shop', 'app', 'my',
+  'official', 'pay', 'verify', 'auth', 'portal', 'service', 'update', 'web'
+];
+
+// ASCII sequences that read as one another in most fonts
+const ASCII_LOOKALIKES = [
+  ['rn', 'm'], ['m', 'rn'], ['vv', 'w'], ['w', 'vv'], ['cl', 'd'], ['d', 'cl'],
+  ['l', '1'], ['1', 'l'], ['l', 'i'], ['i', 'l'], ['i', '1'], ['o', '0'], ['0', 'o']
+];
+
+// Latin letter -> the non-Latin characters that look like it
+const HOMOGLYPHS = new Map();
+for (const [glyph, latin] of CONFUSABLES) {
+  if (!HOMOGLYPHS.has(latin)) HOMOGLYPHS.set(latin, []);
+  HOMOGLYPHS.get(latin).push(glyph);
+}
+
+// Scripts whose confusables can spell a whole label; single-script labels pass
+// registry IDN rules that reject mixed-script ones
+const WHOLE_SCRIPTS = ['Cyrillic', 'Greek'].map((name) => new RegExp(`\\p{Script=${name}}`, 'u'));
+
+function* omissions(chars) {
+  for (let i = 0; i < chars.length; i++) {
+    yield [...chars.slice(0, i), ...chars.slice(i + 1)].join('');
+  }
+}
+
+function* transpositions(chars) {
+  for (let i = 0; i < chars.length - 1; i++) {
+    if (chars[i] === chars[i + 1]) continue;
+    const swapped = [...chars];
+    [swapped[i], swapped[i + 1]] = [swapped[i + 1], swapped[i]];
+    yield swapped.join('');
+  }
+}
+
+function* homoglyphs(label) {
+  const chars = Array.from(label);
+
+  for (let i = 0; i < chars.length; i++) {
+    for (const glyph of HOMOGLYPHS.get(chars[i]) || []) {
+      yield [...chars.slice(0, i), glyph, ...chars.slice(i + 1)].join('');
+    }
+  }
+
+  for (const [from, to] of ASCII_LOOKALIKES) {
+    for (let index = label.indexOf(from); index !== -1; index = label.indexOf(from, index + 1)) {
+      yield label.slice(0, index) + to + label.slice(index + from.length);
+    }
+  }
+
+  // The whole label in one script, when every letter has a lookalike there
+  for (const script of WHOLE_SCRIPTS) {
+    const spelled = chars.map((char) =>
+      /[a-z]/.test(char) ? (HOMOGLYPHS.get(char) || []).find((glyph) => script.test(glyph)) : char
+    );
+    if (spelled.every(Boolean) && spelled.some((char) => script.test(char))) {
+      yield spelled.join('');
+    }
+  }
+}
+
+// Single bit flips in memory or on the wire that still spell a valid hostname
+function* bitsquats(chars) {
+  for (let i = 0; i < chars.length; i++) {
+    const code = chars[i].charCodeAt(0);
+    if (chars[i].length !== 1 || code > 0x7f) continue;
+
+    for (let bit = 0; bit < 8; bit++) {
+      const flipped = String.fromCharCode(code ^ (1 << bit));
+      if (/^[a-z0-9-]$/.test(flipped)) {
+        yield [...chars.slice(0, i), flipped, ...chars.slice(i + 1)].join('');
+      }
+    }
+  }
+}
+
+function* hyphenations(chars) {
+  for (let i = 1; i < chars.length; i++) {
+    if (chars[i - 1] === '-' || chars[i] === '-') continue;
+    yield [...chars.slice(0, i), '-', ...chars.slice(i)].join('');
+  }
+}
+
+function* withWords(label, words) {
+  for (const word of words) {
+    yield `${label}${word}`;
+    yield `${label}-${word}`;
+    yield `${word}${label}`;
+    yield `${word}-${label}`;
+  }
+}
+
+// Permutations of a registrable domain's label (Unicode form) under its public
+// suffix. Every candidate is validated and converted to its A-label the same way
+// lookups are; variants produced by several kinds are listed once with each kind.
+export function generateLookalikes({ label, suffix, ascii }, options = {}) {
+  const kinds = options.kinds || LOOKALIKE_KINDS;
+  const tlds = options.tlds || DEFAULT_SWAP_TLDS;
+  const words = options.words || DEFAULT_WORDS;
+  const chars = Array.from(label);
+  const variants = new Map();
+
+  const add = (kind, candidateLabel, candidateSuffix = suffix) => {
+    let name;
+    try {
+      name = normalizeDomain(`${candidateLabel}.${candidateSuffix}`);
+    } catch {
+      return;
+    }
+    if (name.ascii === ascii) return;
+
+    if (!variants.has(name.ascii)) {
+      variants.set(name.ascii, { domain: name.ascii, unicode: name.isIdn ? name.unicode : null, kinds: [] });
+    }
+    const variant = variants.get(name.ascii);
+    if (!variant.kinds.includes(kind)) variant.kinds.push(kind);
+  };
+
+  const generators = {
+    omission: () => omissions(chars),
+    transposition: () => transpositions(chars),
+    homoglyph: () => homoglyphs(label),
+    bitsquatting: () => bitsquats(chars),
+    hyphenation: () => hyphenations(chars),
+    dictionary: () => withWords(label, words)
+  };
+
+  for (const kind of kinds) {
+    if (kind === 'tld_swap') {
+      for (const tld of tlds) add(kind, label, tld);
+      continue;
+    }
+    for (const candidate of generators[kind]()) add(kind, candidate);
+  }
+
+  return [...variants.values()];
+}
@@ -0,0 +1,274 @@
+import { parseRegistryDate } from './dates.js';
+
+// Canonical domain record shared by RDAP and WHOIS results. The shape (and its
+// snake_case field names) is what clients receive as `record`; `sources` maps
+// each populated field to where it came from: "rdap" or "whois" for the
+// registry, "rdap_registrar" or "whois_registrar" for the sponsoring registrar.
+
+export const EPP_STATUSES = [
+  'ok', 'inactive', 'linked',
+  'addPeriod', 'autoRenewPeriod', 'renewPeriod', 'transferPeriod', 'redemptionPeriod',
+  'pendingCreate', 'pendingDelete', 'pendingRenew', 'pendingRestore', 'pendingTransfer', 'pendingUpdate',
+  'clientDeleteProhibited', 'clientHold', 'clientRenewProhibited', 'clientTransferProhibited', 'clientUpdateProhibited',
+  'serverDeleteProhibited', 'serverHold', 'serverRenewProhibited', 'serverTransferProhibited', 'serverUpdateProhibited'
+];
+
+const EPP_BY_KEY = new Map(EPP_STATUSES.map((status) => [status.toLowerCase(), status]));
+
+// RFC 8056 names for EPP statuses that RDAP spells differently
+const RDAP_STATUS_ALIASES = new Map([
+  ['active', 'ok'],
+  ['associated', 'linked']
+]);
+
+const RDAP_CONTACT_ROLES = {
+  registrant: 'registrant',
+  administrative: 'admin',
+  technical: 'tech',
+  billing: 'billing'
+};
+
+const WHOIS_CONTACT_FIELDS = {
+  registrant: 'registrant',
+  adminContact: 'admin',
+  techContact: 'tech',
+  billingContact: 'billing'
+};
+
+// "client transfer prohibited", "clientTransferProhibited" and
+// "clientTransferProhibited https://icann.org/epp#..." all become the EPP code
+export function toEppStatus(value) {
+  if (!value) return null;
+
+  const key = String(value).split(/\s+https?:\/\//)[0].replace(/[^a-z]/gi, '').toLowerCase();
+  return EPP_BY_KEY.get(RDAP_STATUS_ALIASES.get(key) || key) || null;
+}
+
+function createRecord(domain) {
+  return {
+    domain,
+    registrar: null,
+    dates: { created: null, updated: null, expires: null },
+    status: [],
+    registry_status: [],
+    nameservers: [],
+    dnssec: { signed: null, ds_records: [] },
+    contacts: { registrant: null, admin: null, tech: null, billing: null },
+    sources: {}
+  };
+}
+
+function setField(record, path, value, source) {
+  if (value == null || (Array.isArray(value) && value.length === 0)) return;
+
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((target, key) => target[key], record);
+  parent[keys[keys.length - 1]] = value;
+  record.sources[path] = source;
+}
+
+function setStatuses(record, statuses, source) {
+  const epp = [];
+  const other = [];
+
+  for (const value of statuses || []) {
+    const code = toEppStatus(value);
+    if (code) {
+      if (!epp.includes(code)) epp.push(code);
+    } else {
+      other.push(value);
+    }
+  }
+
+  setField(record, 'status', epp, source);
+  // Registry-specific statuses with no EPP equivalent (e.g. DENIC "connect")
+  setField(record, 'registry_status', other, source);
+}
+
+function compactContact(contact) {
+  const compact = Object.fromEntries(Object.entries(contact).filter(([, value]) => value != null && value !== ''));
+  return Object.keys(compact).length > 0 ? compact : null;
+}
+
+function parseDnssecFlag(value) {
+  if (value == null) return null;
+  if (typeof value === 'boolean') return value;
+
+  const text = String(value).trim().toLowerCase();
+  if (/^(unsigned|no|n|false|inactive)\b/.test(text)) return false;
+  if (/^(signed|yes|y|true|active)/.test(text)) return true;
+  return null;
+}
+
+function splitAddresses(addresses = []) {
+  const isV6 = (address) => address.includes(':');
+  return {
+    ipv4: addresses.filter((address) => !isV6(address)),
+    ipv6: addresses.filter(isV6)
+  };
+}
+
+// RDAP
+
+// vCard phone numbers are often "tel:" URIs
+function telValue(value) {
+  return value ? value.replace(/^tel:/i, '') : null;
+}
+
+function rdapSource(entity) {
+  return entity.source === 'registrar' ? 'rdap_registrar' : 'rdap';
+}
+
+function formatRdapAddress(address) {
+  if (!address) return null;
+  if (address.label) return address.label.replace(/\n/g, ', ');
+
+  const parts = [address.streetAddress, address.extendedAddress, address.locality, address.region, address.postalCode]
+    .flat()
+    .filter(Boolean);
+  return parts.length > 0 ? parts.join(', ') : null;
+}
+
+export function rdapContact(entity) {
+  const contact = entity.contact || {};
+  const address = contact.addresses?.[0];
+
+  return compactContact({
+    handle: entity.handle,
+    name: contact.name,
+    organization: contact.organization,
+    email: contact.emails?.[0],
+    phone: telValue(contact.phones?.[0]?.value),
+    address: formatRdapAddress(address),
+    country: address?.country
+  });
+}
+
+export function findAbuseContact(entities) {
+  for (const entity of entities) {
+    if (entity.roles.includes('abuse')) return entity;
+    const nested = entity.entities ? findAbuseContact(entity.entities) : null;
+    if (nested) return nested;
+  }
+  return null;
+}
+
+export function normalizeRdapResult(result) {
+  const record = createRecord(result.domain);
+  const entities = result.entities || [];
+
+  // Registrar: the registry's entity carries the IANA ID; prefer it over the registrar's own copy
+  const registrarEntity = entities.find((entity) => entity.roles.includes('registrar') && entity.source !== 'registrar') ||
+    entities.find((entity) => entity.roles.includes('registrar'));
+
+  if (registrarEntity) {
+    const abuse = findAbuseContact([registrarEntity]) || findAbuseContact(entities);
+    const ianaId = registrarEntity.publicIds?.find((id) => /iana/i.test(id.type))?.identifier;
+    const aboutLink = registrarEntity.links?.find((link) => link.rel === 'about')?.href;
+
+    setField(record, 'registrar', {
+      name: registrarEntity.contact?.name || registrarEntity.contact?.organization || registrarEntity.handle || null,
+      iana_id: ianaId || null,
+      url: registrarEntity.contact?.url || aboutLink || null,
+      abuse_email: abuse?.contact?.emails?.[0] || null,
+      abuse_phone: telValue(abuse?.contact?.phones?.[0]?.value)
+    }, rdapSource(registrarEntity));
+  }
+
+  // Dates: registry events win over the registrar's
+  const events = [...(result.events || [])].sort((a, b) => (a.source === 'registrar') - (b.source === 'registrar'));
+  const eventDate = (action) => events.find((event) => event.eventAction === action);
+
+  for (const [field, action] of [['created', 'registration'], ['updated', 'last changed'], ['expires', 'expiration']]) {
+    const event = eventDate(action);
+    if (event) {
+      setField(record, `dates.${field}`, parseRegistryDate(event.eventDate), event.source === 'registrar' ? 'rdap_registrar' : 'rdap');
+    }
+  }
+
+  setStatuses(record, result.status, 'rdap');
+
+  setField(record, 'nameservers', (result.nameservers || []).map((ns) => ({
+    name: (ns.ldhName || '').toLowerCase(),
+    ...splitAddresses([...(ns.ipAddresses?.v4 || []), ...(ns.ipAddresses?.v6 || [])])
+  })), 'rdap');
+
+  if (result.secureDNS) {
+    setField(record, 'dnssec.signed', result.secureDNS.delegationSigned ?? null, 'rdap');
+    setField(record, 'dnssec.ds_records', (result.secureDNS.dsData || []).map((ds) => ({
+      key_tag: ds.keyTag,
+      algorithm: ds.algorithm,
+      digest_type: ds.digestType,
+      digest: ds.digest
+    })), 'rdap');
+  }
+
+  // Contacts: the entity with the most detail wins, so a registrar's full record
+  // beats a thin or redacted registry entry
+  for (const [role, key] of Object.entries(RDAP_CONTACT_ROLES)) {
+    const candidates = entities
+      .filter((entity) => entity.roles.includes(role))
+      .map((entity) => ({ entity, contact: rdapContact(entity) }))
+      .filter((candidate) => candidate.contact);
+
+    const best = candidates.reduce((winner, candidate) =>
+      !winner || Object.keys(candidate.contact).length > Object.keys(winner.contact).length ? candidate : winner, null);
+
+    if (best) setField(record, `contacts.${key}`, best.contact, rdapSource(best.entity));
+  }
+
+  return record;
+}
+
+// WHOIS
+
+export function normalizeWhoisResult(result) {
+  const record = createRecord(result.domain);
+  const fromRegistrar = new Set(result.registrarFields || []);
+  const source = (field) => (fromRegistrar.has(field) ? 'whois_registrar' : 'whois');
+
+  if (result.registrar) {
+    const info = result.registrarInfo || {};
+    setField(record, 'registrar', {
+      name: result.registrar,
+      iana_id: info.ianaId || null,
+      url: info.url || null,
+      abuse_email: info.abuseEmail || null,
+      abuse_phone: info.abusePhone || null
+    }, source('registrar'));
+  }
+
+  for (const field of ['created', 'updated', 'expires']) {
+    setField(record, `dates.${field}`, parseRegistryDate(result.dates?.[field]), source(`dates.${field}`));
+  }
+
+  setStatuses(record, result.status, source('status'));
+
+  setField(record, 'nameservers', (result.nameservers || []).map((name) => ({
+    name,
+    ...splitAddresses(result.glue?.[name])
+  })), source('nameservers'));
+
+  setField(record, 'dnssec.signed', parseDnssecFlag(result.dnssec), source('dnssec'));
+
+  for (const [field, key] of Object.entries(WHOIS_CONTACT_FIELDS)) {
+    const contact = result[field];
+    if (!contact || typeof contact !== 'object') continue;
+
+    setField(record, `contacts.${key}`, compactContact({
+      handle: contact.handle,
+      name: contact.name,
+      organization: contact.organization,
+      email: contact.email,
+      phone: contact.phone,
+      address: contact.address,
+      country: contact.country
+    }), source(field));
+  }
+
+  return record;
+}
+
+export function normalizeResult(result) {
+  return result.method === 'rdap' ? normalizeRdapResult(result) : normalizeWhoisResult(result);
+}
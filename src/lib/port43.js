@@ -0,0 +1,125 @@
+import net from 'node:net';
+
+// Registries that expect something other than the bare domain name as the query
+const queryFormats = new Map([
+  // Verisign returns partial matches (including nameserver hosts) unless the query is exact
+  ['whois.verisign-grs.com', (query) => `=${query}`],
+  ['whois.denic.de', (query) => `-T dn,ace ${query}`],
+  // JPRS answers in Japanese unless asked for the English template
+  ['whois.jprs.jp', (query) => `${query}/e`],
+]);
+
+// Registries known to answer in a legacy charset rather than UTF-8
+const serverCharsets = new Map([
+  ['whois.jprs.jp', 'iso-2022-jp'],
+  ['whois.nic.ad.jp', 'iso-2022-jp'],
+  ['whois.kr', 'euc-kr'],
+]);
+
+export class Port43Client {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 15000;
+    this.port = options.port || 43;
+    this.maxResponseBytes = options.maxResponseBytes || 1024 * 1024;
+  }
+
+  formatQuery(server, query) {
+    const format = queryFormats.get(server.toLowerCase());
+    return format ? format(query) : query;
+  }
+
+  async query(server, query) {
+    const { host, port } = this.parseServer(server);
+    const buffer = await this.send(host, port, `${this.formatQuery(host, query)}\r\n`);
+
+    return {
+      server: port === this.port ? host : `${host}:${port}`,
+      text: this.decode(buffer, host)
+    };
+  }
+
+  parseServer(server) {
+    if (!server || typeof server !== 'string') {
+      throw new Error('Invalid WHOIS server provided');
+    }
+
+    const cleanServer = server.trim().toLowerCase()
+      .replace(/^whois:\/\//, '')
+      .replace(/\/+$/, '');
+
+    // Allow "host:port" so a local test server can stand in for a registry
+    const match = cleanServer.match(/^([^:\s]+):(\d+)$/);
+    if (match) {
+      return { host: match[1], port: Number(match[2]) };
+    }
+
+    return { host: cleanServer, port: this.port };
+  }
+
+  send(host, port, payload) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let received = 0;
+      let settled = false;
+
+      const finish = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        socket.destroy();
+
+        if (error) {
+          reject(error);
+        } else {
+          resolve(Buffer.concat(chunks, received));
+        }
+      };
+
+      const socket = net.createConnection({ host, port });
+
+      // Covers slow connects as well as servers that never close the connection
+      const timer = setTimeout(() => {
+        const error = new Error(`WHOIS query to ${host} timed out after ${this.timeout}ms`);
+        error.name = 'TimeoutError';
+        finish(error);
+      }, this.timeout);
+
+      socket.on('connect', () => socket.write(payload));
+
+      socket.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > this.maxResponseBytes) {
+          finish(new Error(`WHOIS response from ${host} exceeded ${this.maxResponseBytes} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+
+      socket.on('end', () => finish());
+      socket.on('close', () => finish());
+      socket.on('error', (error) => {
+        const wrapped = new Error(`WHOIS connection to ${host}:${port} failed: ${error.message}`);
+        wrapped.code = error.code;
+        finish(wrapped);
+      });
+    });
+  }
+
+  decode(buffer, host) {
+    const charset = serverCharsets.get(host);
+    if (charset) {
+      try {
+        return new TextDecoder(charset).decode(buffer);
+      } catch (error) {
+        // Runtime without full ICU; fall through to the generic detection below
+      }
+    }
+
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (error) {
+      // Not valid UTF-8, most older registries send Latin-1
+      return new TextDecoder('windows-1252').decode(buffer);
+    }
+  }
+}
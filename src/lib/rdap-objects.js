@@ -0,0 +1,48 @@
+import { findAbuseContact, rdapContact } from './normalize.js';
+import { parseRegistryDate } from './dates.js';
+
+// Output shared by the tools for RDAP objects other than domains (IP networks,
+// autonomous systems, nameservers, entities): the RIR, owner and abuse
+// contacts, and dates, in the snake_case shape the tools return.
+
+const RIRS = {
+  arin: 'ARIN',
+  ripe: 'RIPE NCC',
+  apnic: 'APNIC',
+  lacnic: 'LACNIC',
+  afrinic: 'AFRINIC'
+};
+
+export function rirFromServer(server) {
+  const key = Object.keys(RIRS).find((name) => String(server || '').toLowerCase().includes(name));
+  return key ? RIRS[key] : null;
+}
+
+function flattenEntities(entities) {
+  return entities.flatMap((entity) => [entity, ...flattenEntities(entity.entities || [])]);
+}
+
+export function formatEntities(entities = []) {
+  const owner = entities.find((entity) => entity.roles.includes('registrant'));
+  const abuse = findAbuseContact(entities);
+
+  return {
+    owner: owner ? rdapContact(owner) : null,
+    abuse: abuse ? rdapContact(abuse) : null,
+    contacts: flattenEntities(entities)
+      .map((entity) => ({ roles: entity.roles, ...rdapContact(entity) }))
+  };
+}
+
+export function formatEvents(events = []) {
+  const date = (action) => parseRegistryDate(events.find((event) => event.eventAction === action)?.eventDate);
+  return {
+    registered: date('registration'),
+    last_changed: date('last changed')
+  };
+}
+
+// RIPE and APNIC put the network description ("descr") in remarks
+export function formatRemarks(remarks = []) {
+  return remarks.flatMap((remark) => remark.description || []);
+}
@@ -1,74 +1,582 @@
 import { RegistryDetector } from '../services/registry-detector.js';
+import { annotateDomainNames, normalizeDomain } from './idn.js';
+import { defaultLookupCache } from './cache.js';
+import { defaultScheduler, parseRetryAfter, RetryableError } from './scheduler.js';
+import { ERROR_CODES, invalidInput, LookupError, toLookupError } from './errors.js';
+import { parseCidr } from './ip.js';
+import { recordHost, SOURCES, sourceDisabled } from './sources.js';
+
+// Statuses that mean "try again later" rather than a definitive answer
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+
+// RFC 9082 searches: the path segment and the query parameters each accepts
+export const SEARCH_TYPES = {
+  domains: ['name', 'nsLdhName', 'nsIp'],
+  nameservers: ['name', 'ip'],
+  entities: ['fn', 'handle']
+};
+
+const SEARCH_RESULT_KEYS = {
+  domains: 'domainSearchResults',
+  nameservers: 'nameserverSearchResults',
+  entities: 'entitySearchResults'
+};
+
+// Conformance values for extensions that only make sense on servers with search
+// (paging, sorting and subsetting from RFC 8977/8982, reverse search from RFC 9536)
+const SEARCH_CONFORMANCE = /search|paging|sorting|subsetting/i;
 
 export class RdapClient {
-  constructor() {
-    this.registryDetector = new RegistryDetector();
-    this.timeout = 10000; // 10 seconds timeout
+  constructor(options = {}) {
+    this.registryDetector = options.registryDetector || new RegistryDetector();
+    this.bootstrap = options.bootstrap || this.registryDetector.bootstrap;
+    this.timeout = options.timeout || 10000;
+    this.userAgent = options.userAgent || 'domaindetails-mcp';
+    this.sources = options.sources || SOURCES;
+    this.cache = options.cache || defaultLookupCache;
+    this.scheduler = options.scheduler || defaultScheduler;
   }
 
-  async lookupDomain(domain) {
-    if (!domain || typeof domain !== 'string') {
-      throw new Error('Invalid domain provided');
+  async lookupDomain(domain, options = {}) {
+    // Validates and converts to the A-label form used on the wire
+    const name = normalizeDomain(domain);
+
+    // Registries only know the registrable domain, never its subdomains
+    const domainInfo = await this.registryDetector.parseDomain(name.ascii);
+    const { registrableDomain } = domainInfo;
+
+    const cacheKey = `rdap:domain:${registrableDomain}:${options.followReferral ? 'referral' : 'registry'}`;
+    const { value: result, cache } = await this.cache.getOrLoad(
+      cacheKey,
+      () => this.queryDomain(registrableDomain, options),
+      { mode: options.cache, isNegative: (value) => !value.found }
+    );
+
+    result.cache = cache;
+    return annotateDomainNames(result, name, domainInfo);
+  }
+
+  async queryDomain(registrableDomain, options = {}) {
+    const rdapUrl = await this.registryDetector.getRdapUrl(registrableDomain);
+    
+    if (!rdapUrl) {
+      throw new LookupError(ERROR_CODES.UNSUPPORTED_TLD, `No RDAP server found for domain: ${registrableDomain}`, {
+        protocol: 'rdap'
+      });
     }
 
-    const cleanDomain = domain.toLowerCase().trim();
+    const queryUrl = `${rdapUrl}domain/${registrableDomain}`;
+    const requests = [];
+    const response = await this.fetchRdap(queryUrl, requests);
+
+    if (!response.ok) {
+      if (response.status === 404) {
+        return {
+          domain: registrableDomain,
+          found: false,
+          status: 'not_found',
+          message: 'Domain not found in registry',
+          requests
+        };
+      }
+
+      throw new LookupError(ERROR_CODES.UPSTREAM_ERROR, `RDAP query failed: ${response.status} ${response.statusText}`, {
+        protocol: 'rdap',
+        server: new URL(queryUrl).host,
+        httpStatus: response.status,
+        retryable: response.status >= 500
+      });
+    }
+
+    const data = await response.json();
+    const result = this.parseRdapResponse(data, registrableDomain);
+    result.requests = requests;
+
+    if (options.followReferral) {
+      await this.followRegistrarReferral(result, queryUrl);
+    }
     
-    // Validate domain format
-    if (!/^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i.test(cleanDomain)) {
-      throw new Error('Invalid domain format');
+    return result;
+  }
+
+  // IP networks and autonomous systems are served by the RIRs; the IANA ipv4,
+  // ipv6 and asn bootstrap files say which one
+  async lookupIp(query, options = {}) {
+    const text = String(query || '').trim().toLowerCase();
+    if (!parseCidr(text)) {
+      throw invalidInput(`Invalid IP address or CIDR block: ${query}`, { protocol: 'rdap' });
     }
 
-    try {
-      const rdapUrl = await this.registryDetector.getRdapUrl(cleanDomain);
-      
-      if (!rdapUrl) {
-        throw new Error(`No RDAP server found for domain: ${cleanDomain}`);
+    const servers = await this.bootstrap.findIpServers(text);
+    return this.lookupNumberResource('ip', text, servers, options);
+  }
+
+  async lookupAsn(asn, options = {}) {
+    const match = String(asn ?? '').trim().match(/^(?:as)?(\d{1,10})$/i);
+    const number = match ? Number(match[1]) : null;
+    if (number === null || number > 4294967295) {
+      throw invalidInput(`Invalid AS number: ${asn}`, { protocol: 'rdap' });
+    }
+
+    const servers = await this.bootstrap.findAsnServers(number);
+    return this.lookupNumberResource('autnum', String(number), servers, options);
+  }
+
+  async lookupNumberResource(type, query, servers, options = {}) {
+    if (servers.length === 0) {
+      throw new LookupError(ERROR_CODES.NOT_FOUND, `No RDAP service in the IANA bootstrap data covers ${query}`, {
+        protocol: 'rdap',
+        retryable: false
+      });
+    }
+
+    const cacheKey = `rdap:${type}:${query}:${options.includeParent ? 'parent' : 'self'}`;
+    const { value: result, cache } = await this.cache.getOrLoad(
+      cacheKey,
+      () => this.queryNumberResource(type, query, servers[0], options),
+      { mode: options.cache, isNegative: (value) => !value.found }
+    );
+
+    result.cache = cache;
+    return result;
+  }
+
+  async queryNumberResource(type, query, baseUrl, options = {}) {
+    const queryUrl = `${baseUrl}${type}/${query}`;
+    const requests = [];
+    const { data, server } = await this.fetchObject(queryUrl, requests);
+
+    if (!data) {
+      return {
+        query,
+        found: false,
+        message: `${type === 'ip' ? 'Address' : 'AS number'} not found in registry`,
+        server,
+        requests
+      };
+    }
+
+    const result = type === 'ip' ? this.parseIpNetwork(data) : this.parseAutnum(data);
+    result.query = query;
+    result.server = server;
+    result.requests = requests;
+
+    if (type === 'ip' && options.includeParent) {
+      await this.fetchParentNetwork(result);
+    }
+
+    return result;
+  }
+
+  // Nameserver host objects live at the registry of the host's own TLD unless
+  // another one is named (e.g. an external host as known to the .com registry)
+  async lookupNameserver(host, options = {}) {
+    const name = normalizeDomain(host);
+    const suffix = options.tld
+      ? options.tld.toLowerCase().replace(/^\./, '')
+      : (await this.registryDetector.parseDomain(name.ascii)).publicSuffix;
+    const baseUrl = await this.registryDetector.getRdapUrlForSuffix(suffix);
+
+    if (!baseUrl) {
+      throw new LookupError(ERROR_CODES.UNSUPPORTED_TLD, `No RDAP server found for .${suffix}`, { protocol: 'rdap' });
+    }
+
+    const cacheKey = `rdap:nameserver:${baseUrl}${name.ascii}`;
+    const { value: result, cache } = await this.cache.getOrLoad(
+      cacheKey,
+      () => this.queryNameserver(name.ascii, baseUrl),
+      { mode: options.cache, isNegative: (value) => !value.found }
+    );
+
+    result.cache = cache;
+    return result;
+  }
+
+  async queryNameserver(host, baseUrl) {
+    const requests = [];
+    const { data, server } = await this.fetchObject(`${baseUrl}nameserver/${host}`, requests);
+
+    if (!data) {
+      return { query: host, found: false, message: 'Nameserver not found in registry', server, requests };
+    }
+
+    return {
+      query: host,
+      found: true,
+      objectClassName: data.objectClassName,
+      handle: data.handle,
+      ldhName: (data.ldhName || host).toLowerCase(),
+      unicodeName: data.unicodeName,
+      status: data.status || [],
+      ipAddresses: { v4: data.ipAddresses?.v4 || [], v6: data.ipAddresses?.v6 || [] },
+      events: data.events || [],
+      entities: (data.entities || []).map((entity) => this.parseEntity(entity)),
+      remarks: data.remarks || [],
+      links: data.links || [],
+      port43: data.port43,
+      server,
+      requests,
+      rawData: data
+    };
+  }
+
+  // Handles ending in a tag from the IANA object-tags bootstrap ("ABC123-ARIN")
+  // resolve to that service; anything else (e.g. "292-IANA") needs the TLD whose
+  // registry holds it
+  async lookupEntity(handle, options = {}) {
+    const text = String(handle || '').trim();
+    if (!text || /[\s/?#]/.test(text)) {
+      throw invalidInput(`Invalid entity handle: ${handle}`, { protocol: 'rdap' });
+    }
+
+    let baseUrl = null;
+    const tag = text.includes('-') ? text.split('-').pop() : null;
+
+    if (options.tld) {
+      baseUrl = await this.registryDetector.getRdapUrlForSuffix(options.tld);
+    } else if (tag) {
+      [baseUrl = null] = await this.bootstrap.findObjectTagServers(tag);
+    }
+
+    if (!baseUrl && options.tld) {
+      throw new LookupError(ERROR_CODES.UNSUPPORTED_TLD, `No RDAP server found for .${options.tld.replace(/^\./, '')}`, {
+        protocol: 'rdap'
+      });
+    }
+    if (!baseUrl) {
+      throw invalidInput(`No RDAP service is registered for the handle ${text}; name the TLD whose registry holds it`, {
+        protocol: 'rdap'
+      });
+    }
+
+    const cacheKey = `rdap:entity:${baseUrl}${text.toUpperCase()}`;
+    const { value: result, cache } = await this.cache.getOrLoad(
+      cacheKey,
+      () => this.queryEntity(text, baseUrl),
+      { mode: options.cache, isNegative: (value) => !value.found }
+    );
+
+    result.cache = cache;
+    return result;
+  }
+
+  async queryEntity(handle, baseUrl) {
+    const requests = [];
+    const { data, server } = await this.fetchObject(`${baseUrl}entity/${encodeURIComponent(handle)}`, requests);
+
+    if (!data) {
+      return { query: handle, found: false, message: 'Entity not found in registry', server, requests };
+    }
+
+    return {
+      query: handle,
+      found: true,
+      objectClassName: data.objectClassName,
+      ...this.parseEntity(data),
+      port43: data.port43,
+      server,
+      requests,
+      rawData: data
+    };
+  }
+
+  // Whether the server's /help response advertises search. null when there is
+  // no usable help response, so the caller can still try the search itself.
+  async getSearchSupport(baseUrl) {
+    const { value } = await this.cache.getOrLoad(
+      `rdap:help:${baseUrl}`,
+      async () => {
+        try {
+          const { data } = await this.fetchObject(`${baseUrl}help`, []);
+          return { conformance: data?.rdapConformance || null, notices: data?.notices || [] };
+        } catch {
+          return { conformance: null, notices: [] };
+        }
       }
+    );
+
+    if (!value.conformance) return { advertised: null, conformance: null };
+
+    const mentioned = value.notices.some((notice) =>
+      /search/i.test([notice.title, ...(notice.description || [])].join(' '))
+    );
+
+    return {
+      advertised: mentioned || value.conformance.some((token) => SEARCH_CONFORMANCE.test(token)),
+      conformance: value.conformance
+    };
+  }
 
-      const queryUrl = `${rdapUrl}domain/${cleanDomain}`;
-      
-      const response = await fetch(queryUrl, {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/rdap+json,application/json',
-          'User-Agent': 'RDAP-MCP-Server/1.0.0'
-        },
-        signal: AbortSignal.timeout(this.timeout)
+  // Run an RFC 9082 search against baseUrl, following RFC 8977 paging links
+  // until maxResults objects or maxPages pages have been read
+  async search(baseUrl, type, parameter, value, options = {}) {
+    const { maxResults = 50, maxPages = 5, force = false } = options;
+
+    if (!SEARCH_TYPES[type]?.includes(parameter)) {
+      throw invalidInput(`Unsupported search: ${type}?${parameter}= (expected one of ${
+        Object.entries(SEARCH_TYPES).flatMap(([name, params]) => params.map((param) => `${name}?${param}=`)).join(', ')
+      })`, { protocol: 'rdap' });
+    }
+
+    const support = await this.getSearchSupport(baseUrl);
+    const result = {
+      server: new URL(baseUrl).host,
+      searchAdvertised: support.advertised,
+      rdapConformance: support.conformance,
+      results: [],
+      pages: 0,
+      truncated: false,
+      totalCount: null,
+      requests: []
+    };
+
+    // Servers that publish their conformance and nothing about search almost never implement it
+    if (support.advertised === false && !force) {
+      result.supported = false;
+      return result;
+    }
+
+    let url = `${baseUrl}${type}?${parameter}=${encodeURIComponent(value).replace(/%2A/g, '*')}`;
+
+    while (url && result.pages < maxPages && result.results.length < maxResults) {
+      const response = await this.fetchRdap(url, result.requests);
+
+      // 400, 404, 422 and 501 are how servers without the search (or without this parameter) answer
+      if (!response.ok && [400, 404, 422, 501].includes(response.status) && result.pages === 0) {
+        result.supported = false;
+        result.message = `Search rejected by ${result.server}: ${response.status} ${response.statusText}`;
+        return result;
+      }
+      if (!response.ok) {
+        throw new LookupError(ERROR_CODES.UPSTREAM_ERROR, `RDAP search failed: ${response.status} ${response.statusText}`, {
+          protocol: 'rdap',
+          server: result.server,
+          httpStatus: response.status,
+          retryable: response.status >= 500
+        });
+      }
+
+      const data = await response.json();
+      result.pages++;
+      result.results.push(...(data[SEARCH_RESULT_KEYS[type]] || []).map((item) => this.parseSearchResult(type, item)));
+
+      const paging = data.paging_metadata || data.pagingMetadata;
+      if (paging?.totalCount != null) result.totalCount = paging.totalCount;
+      if ((data.notices || []).some((notice) => /truncated/i.test(notice.title || ''))) result.truncated = true;
+
+      const next = paging?.links?.find((link) => link.rel === 'next')?.href;
+      url = next ? new URL(next, url).href : null;
+    }
+
+    result.supported = true;
+    if (url || result.results.length > maxResults) result.truncated = true;
+    result.results = result.results.slice(0, maxResults);
+    return result;
+  }
+
+  parseSearchResult(type, item) {
+    if (type === 'domains') {
+      return this.parseRdapResponse(item, (item.ldhName || '').toLowerCase());
+    }
+    if (type === 'nameservers') {
+      return {
+        ldhName: (item.ldhName || '').toLowerCase(),
+        unicodeName: item.unicodeName,
+        handle: item.handle,
+        status: item.status || [],
+        ipAddresses: { v4: item.ipAddresses?.v4 || [], v6: item.ipAddresses?.v6 || [] }
+      };
+    }
+    return this.parseEntity(item);
+  }
+
+  // GET an RDAP object: data is null for 404, other failures throw
+  async fetchObject(queryUrl, requests) {
+    const response = await this.fetchRdap(queryUrl, requests);
+    // Redirects (ARIN sends other RIRs' resources on) are followed; report where the answer came from
+    const server = new URL(response.url || queryUrl).host;
+
+    if (!response.ok) {
+      if (response.status === 404) return { data: null, server };
+
+      throw new LookupError(ERROR_CODES.UPSTREAM_ERROR, `RDAP query failed: ${response.status} ${response.statusText}`, {
+        protocol: 'rdap',
+        server,
+        httpStatus: response.status,
+        retryable: response.status >= 500
       });
+    }
+
+    return { data: await response.json(), server };
+  }
+
+  async fetchParentNetwork(result) {
+    const upLink = result.links.find((link) => link.rel === 'up' && link.href && /\/ip\//i.test(link.href));
+    if (!upLink) return result;
 
+    try {
+      const response = await this.fetchRdap(upLink.href, result.requests);
       if (!response.ok) {
-        if (response.status === 404) {
-          return {
-            domain: cleanDomain,
-            found: false,
-            status: 'not_found',
-            message: 'Domain not found in registry'
-          };
-        }
-        
         throw new Error(`RDAP query failed: ${response.status} ${response.statusText}`);
       }
+      result.parent = this.parseIpNetwork(await response.json());
+    } catch (error) {
+      result.parentError = error.message;
+    }
 
-      const data = await response.json();
-      
-      return this.parseRdapResponse(data, cleanDomain);
-      
+    return result;
+  }
+
+  parseNumberResource(data) {
+    return {
+      found: true,
+      objectClassName: data.objectClassName,
+      handle: data.handle,
+      name: data.name,
+      type: data.type,
+      country: data.country,
+      status: data.status || [],
+      events: (data.events || []).map((event) => ({
+        eventAction: event.eventAction,
+        eventDate: event.eventDate,
+        eventActor: event.eventActor
+      })),
+      entities: (data.entities || []).map((entity) => this.parseEntity(entity)),
+      remarks: data.remarks || [],
+      links: data.links || [],
+      port43: data.port43,
+      rawData: data
+    };
+  }
+
+  parseIpNetwork(data) {
+    return {
+      ...this.parseNumberResource(data),
+      startAddress: data.startAddress,
+      endAddress: data.endAddress,
+      ipVersion: data.ipVersion,
+      parentHandle: data.parentHandle,
+      // cidr0 extension, sent by every RIR
+      cidrs: (data.cidr0_cidrs || []).map((cidr) => `${cidr.v4prefix || cidr.v6prefix}/${cidr.length}`)
+    };
+  }
+
+  parseAutnum(data) {
+    return {
+      ...this.parseNumberResource(data),
+      startAutnum: data.startAutnum,
+      endAutnum: data.endAutnum
+    };
+  }
+
+  async fetchRdap(url, requests = []) {
+    // Every RDAP tool ends up here, so a server that disallows RDAP never sends a query
+    if (!this.sources.includes('rdap')) {
+      throw sourceDisabled('rdap', 'rdap');
+    }
+
+    // Requests are rate limited and retried per RDAP server
+    const key = `rdap:${new URL(url).origin}`;
+
+    try {
+      const { value, log } = await this.scheduler.run(key, async () => {
+        recordHost('rdap', new URL(url).host);
+        const response = await fetch(url, {
+          method: 'GET',
+          headers: {
+            'Accept': 'application/rdap+json,application/json',
+            'User-Agent': this.userAgent
+          },
+          signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (RETRYABLE_STATUSES.has(response.status)) {
+          throw new RetryableError(`${response.status} ${response.statusText}`, {
+            status: response.status,
+            retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+          });
+        }
+
+        return response;
+      });
+
+      requests.push(log);
+      return value;
     } catch (error) {
+      if (error.requestLog) requests.push(error.requestLog);
+      const attempts = error.requestLog ? ` after ${error.requestLog.attempts} attempt(s)` : '';
+      const context = { protocol: 'rdap', server: new URL(url).host };
+
       if (error.name === 'TimeoutError') {
-        throw new Error(`RDAP query timed out after ${this.timeout}ms`);
+        throw new LookupError(ERROR_CODES.TIMEOUT, `RDAP query timed out after ${this.timeout}ms${attempts}`, context);
+      }
+      if (error.status) {
+        const code = error.status === 429 ? ERROR_CODES.RATE_LIMITED : ERROR_CODES.UPSTREAM_ERROR;
+        throw new LookupError(code, `RDAP query failed: ${error.message}${attempts}`, {
+          ...context,
+          httpStatus: error.status,
+          details: error.retryAfterMs != null ? { retry_after_ms: error.retryAfterMs } : null
+        });
       }
-      throw error;
+      throw toLookupError(error, context);
     }
   }
 
-  parseRdapResponse(data, domain) {
+  findRegistrarLink(result, registryUrl) {
+    // Thin registries (e.g. Verisign) point at the sponsoring registrar's record with rel "related"
+    const link = result.links.find((candidate) =>
+      candidate.rel === 'related' &&
+      candidate.href &&
+      /\/domain\//i.test(candidate.href) &&
+      (!candidate.type || candidate.type.includes('rdap+json') || candidate.type.includes('json')) &&
+      candidate.href.toLowerCase() !== registryUrl.toLowerCase()
+    );
+
+    return link ? link.href : null;
+  }
+
+  async followRegistrarReferral(result, registryUrl) {
+    const referralUrl = this.findRegistrarLink(result, registryUrl);
+    if (!referralUrl) return result;
+
+    result.registrarReferral = { url: referralUrl };
+
+    try {
+      const response = await this.fetchRdap(referralUrl, result.requests);
+      if (!response.ok) {
+        throw new Error(`RDAP query failed: ${response.status} ${response.statusText}`);
+      }
+
+      const registrar = this.parseRdapResponse(await response.json(), result.domain, 'registrar');
+      this.mergeRegistrarRecord(result, registrar);
+      result.registrarReferral.status = 'ok';
+    } catch (error) {
+      result.registrarReferral.status = 'failed';
+      result.registrarReferral.error = error.message;
+    }
+
+    return result;
+  }
+
+  mergeRegistrarRecord(result, registrar) {
+    // The registry record stays authoritative; registrar data is added alongside it
+    result.entities = [...result.entities, ...registrar.entities];
+    result.events = [...result.events, ...registrar.events];
+    result.registrarRawData = registrar.rawData;
+
+    if (registrar.remarks.length > 0) {
+      result.registrarRemarks = registrar.remarks;
+    }
+  }
+
+  parseRdapResponse(data, domain, source = 'registry') {
     const result = {
       domain,
       found: true,
       lookupStatus: 'found',
       rdapConformance: data.rdapConformance || [],
       objectClassName: data.objectClassName,
-      ldhName: data.ldhName || domain,
+      ldhName: (data.ldhName || domain).toLowerCase(),
       unicodeName: data.unicodeName,
       handle: data.handle,
       status: data.status || [],
@@ -87,13 +595,14 @@ export class RdapClient {
       result.events = data.events.map(event => ({
         eventAction: event.eventAction,
         eventDate: event.eventDate,
-        eventActor: event.eventActor
+        eventActor: event.eventActor,
+        source
       }));
     }
 
     // Parse entities (registrant, admin, tech, etc.)
     if (data.entities) {
-      result.entities = data.entities.map(entity => this.parseEntity(entity));
+      result.entities = data.entities.map(entity => ({ ...this.parseEntity(entity), source }));
     }
 
     // Parse nameservers
@@ -136,6 +645,11 @@ export class RdapClient {
       publicIds: entity.publicIds
     };
 
+    // Registrar entities nest their abuse contact
+    if (entity.entities && entity.entities.length > 0) {
+      parsed.entities = entity.entities.map((child) => this.parseEntity(child));
+    }
+
     // Parse vCard if available
     if (entity.vcardArray && entity.vcardArray.length > 1) {
       const vcard = entity.vcardArray[1];
@@ -173,9 +687,15 @@ export class RdapClient {
             value: value
           });
           break;
+        case 'url':
+          contact.url = value;
+          break;
         case 'adr':
           if (!contact.addresses) contact.addresses = [];
-          if (Array.isArray(value) && value.length >= 7) {
+          if (params?.label) {
+            // Unstructured addresses are sent as a label with empty components
+            contact.addresses.push({ type: params.type || 'postal', label: params.label });
+          } else if (Array.isArray(value) && value.length >= 7) {
             contact.addresses.push({
               type: params?.type || 'postal',
               poBox: value[0],
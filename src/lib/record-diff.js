@@ -0,0 +1,74 @@
+// Differences between two normalized domain records (see normalize.js), as
+// reported by domain_diff. Only fields that changed appear in the result.
+
+// Compare on the IANA ID when both sides have one; names vary in spelling between sources
+export function sameRegistrar(a, b) {
+  if (!a || !b) return a === b;
+  if (a.iana_id && b.iana_id) return String(a.iana_id) === String(b.iana_id);
+  return String(a.name || '').trim().toLowerCase() === String(b.name || '').trim().toLowerCase();
+}
+
+function diffLists(before = [], after = []) {
+  const added = after.filter((item) => !before.includes(item));
+  const removed = before.filter((item) => !after.includes(item));
+  return added.length > 0 || removed.length > 0 ? { added, removed } : null;
+}
+
+function diffContact(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+
+  for (const field of fields) {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (from !== to) changes[field] = { from, to };
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+export function diffRecords(before, after) {
+  const changes = {};
+
+  const nameservers = diffLists(
+    before.nameservers.map((ns) => ns.name),
+    after.nameservers.map((ns) => ns.name)
+  );
+  if (nameservers) changes.nameservers = nameservers;
+
+  const status = diffLists(
+    [...before.status, ...before.registry_status],
+    [...after.status, ...after.registry_status]
+  );
+  if (status) changes.status = status;
+
+  if (!sameRegistrar(before.registrar, after.registrar)) {
+    changes.registrar = { from: before.registrar, to: after.registrar };
+  }
+
+  if (before.dates.expires !== after.dates.expires) {
+    changes.expires = {
+      from: before.dates.expires,
+      to: after.dates.expires,
+      renewed: Boolean(before.dates.expires && after.dates.expires && after.dates.expires > before.dates.expires)
+    };
+  }
+
+  // A new creation date means the name was dropped and registered again
+  if (before.dates.created !== after.dates.created) {
+    changes.created = { from: before.dates.created, to: after.dates.created };
+  }
+
+  if (before.dnssec.signed !== after.dnssec.signed) {
+    changes.dnssec = { from: before.dnssec.signed, to: after.dnssec.signed };
+  }
+
+  const contacts = {};
+  for (const role of Object.keys(after.contacts)) {
+    const contact = diffContact(before.contacts[role], after.contacts[role]);
+    if (contact) contacts[role] = contact;
+  }
+  if (Object.keys(contacts).length > 0) changes.contacts = contacts;
+
+  return changes;
+}
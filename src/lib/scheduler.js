@@ -0,0 +1,172 @@
+// Network error codes worth retrying; anything else fails immediately
+const TRANSIENT_ERROR_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT'
+]);
+
+const TIMEOUT_ERROR_CODES = new Set(['ETIMEDOUT', 'ETIMEOUT', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT']);
+
+// Token bucket limits per protocol; WHOIS servers ban bursts far more readily than RDAP
+const DEFAULT_LIMITS = {
+  rdap: { ratePerSecond: 5, burst: 10 },
+  whois: { ratePerSecond: 1, burst: 3 }
+};
+
+export class RetryableError extends Error {
+  constructor(message, { retryAfterMs = null, code = null, status = null } = {}) {
+    super(message);
+    this.name = 'RetryableError';
+    this.retryable = true;
+    this.retryAfterMs = retryAfterMs;
+    if (code) this.code = code;
+    if (status) this.status = status;
+  }
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value.trim()) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export function isTransientError(error) {
+  if (!error) return false;
+  if (error.retryable) return true;
+  if (error.name === 'TimeoutError') return true;
+
+  const code = error.code || error.cause?.code;
+  return TRANSIENT_ERROR_CODES.has(code);
+}
+
+export function isTimeoutError(error) {
+  if (!error) return false;
+  if (error.name === 'TimeoutError') return true;
+  return TIMEOUT_ERROR_CODES.has(error.code || error.cause?.code);
+}
+
+export class RequestScheduler {
+  constructor(options = {}) {
+    this.limits = { ...DEFAULT_LIMITS, ...options.limits };
+    this.maxAttempts = options.maxAttempts || 3;
+    // Every timeout already cost a full timeout period, so an unresponsive server gets one retry at most
+    this.maxTimeoutAttempts = options.maxTimeoutAttempts || 2;
+    this.baseDelay = options.baseDelay || 500; // first backoff step in ms
+    this.maxDelay = options.maxDelay || 10000;
+    this.maxRetryAfter = options.maxRetryAfter || 60000; // give up rather than wait longer than this
+
+    this.buckets = new Map();
+  }
+
+  getLimit(key) {
+    // Exact server keys (e.g. "whois:whois.verisign-grs.com") override the protocol default
+    return this.limits[key] || this.limits[key.split(':')[0]] || DEFAULT_LIMITS.rdap;
+  }
+
+  getBucket(key) {
+    if (!this.buckets.has(key)) {
+      const limit = this.getLimit(key);
+      this.buckets.set(key, {
+        tokens: limit.burst,
+        updatedAt: Date.now(),
+        blockedUntil: 0,
+        ...limit
+      });
+    }
+    return this.buckets.get(key);
+  }
+
+  async acquire(key) {
+    const bucket = this.getBucket(key);
+    const now = Date.now();
+
+    bucket.tokens = Math.min(bucket.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.ratePerSecond);
+    bucket.updatedAt = now;
+
+    // Reserve a token up front; a negative balance is the queue of callers ahead of us
+    bucket.tokens -= 1;
+    const tokenWait = bucket.tokens < 0 ? (-bucket.tokens / bucket.ratePerSecond) * 1000 : 0;
+    const blockedWait = Math.max(0, bucket.blockedUntil - now);
+    const wait = Math.max(tokenWait, blockedWait);
+
+    if (wait > 0) {
+      await sleep(wait);
+    }
+    return wait;
+  }
+
+  // Block every request to a server, e.g. after it answered with Retry-After
+  block(key, durationMs) {
+    const bucket = this.getBucket(key);
+    bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + durationMs);
+  }
+
+  backoff(attempt) {
+    // Full jitter exponential backoff
+    const ceiling = Math.min(this.maxDelay, this.baseDelay * 2 ** (attempt - 1));
+    return Math.round(Math.random() * ceiling);
+  }
+
+  // Run task(attempt) against the server identified by key. Resolves with
+  // { value, log } where log describes every attempt; rejections carry the same
+  // log on error.requestLog.
+  async run(key, task) {
+    const log = { server: key, attempts: 0, retries: [] };
+    let timeouts = 0;
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const queuedMs = await this.acquire(key);
+      log.attempts = attempt;
+      if (queuedMs > 0) log.queued_ms = (log.queued_ms || 0) + Math.round(queuedMs);
+
+      try {
+        const value = await task(attempt);
+        return { value, log };
+      } catch (error) {
+        const retryable = isTransientError(error);
+        const delay = error.retryAfterMs ?? this.backoff(attempt);
+
+        if (error.retryAfterMs != null) {
+          this.block(key, error.retryAfterMs);
+        }
+        if (isTimeoutError(error)) {
+          timeouts++;
+        }
+
+        const giveUp = !retryable || attempt === this.maxAttempts || timeouts >= this.maxTimeoutAttempts ||
+          delay > this.maxRetryAfter;
+        if (retryable) {
+          log.retries.push({
+            attempt,
+            reason: error.message,
+            ...(giveUp ? {} : { delay_ms: delay }),
+            ...(error.retryAfterMs != null ? { retry_after: true } : {})
+          });
+        }
+
+        if (giveUp) {
+          log.error = error.message;
+          error.requestLog = log;
+          throw error;
+        }
+
+        // A Retry-After block is already enforced by acquire() on the next attempt
+        if (error.retryAfterMs == null) {
+          await sleep(delay);
+        }
+      }
+    }
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Shared so every client in the process respects the same per-server limits
+export const defaultScheduler = new RequestScheduler();
@@ -0,0 +1,65 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { ERROR_CODES, invalidInput, LookupError } from './errors.js';
+
+// Where a queried domain may be sent:
+//   rdap              - registry and registrar RDAP servers
+//   whois-direct      - registry and registrar WHOIS servers over port 43
+//   domaindetails-api - the DomainDetails WHOIS API, a third party that sees every name it is asked about
+export const SOURCES = ['rdap', 'whois-direct', 'domaindetails-api'];
+
+// Narrow the server's allowed sources to the ones a call asked for. Asking for a
+// source the server disallows is an error rather than silently ignored.
+export function resolveSources(requested, allowed = SOURCES) {
+  if (requested === undefined) return allowed;
+
+  if (!Array.isArray(requested) || requested.length === 0) {
+    throw invalidInput(`Sources must be a non-empty array of ${SOURCES.join(', ')}`);
+  }
+
+  const unknown = requested.filter((source) => !SOURCES.includes(source));
+  if (unknown.length > 0) {
+    throw invalidInput(`Unknown source(s): ${unknown.join(', ')} (expected ${SOURCES.join(', ')})`);
+  }
+
+  const disallowed = requested.filter((source) => !allowed.includes(source));
+  if (disallowed.length > 0) {
+    throw invalidInput(`Source(s) ${disallowed.join(', ')} are disabled on this server (allowed: ${allowed.join(', ')})`);
+  }
+
+  return SOURCES.filter((source) => requested.includes(source));
+}
+
+export function sourceDisabled(source, protocol) {
+  return new LookupError(ERROR_CODES.SOURCE_DISABLED, `The ${source} source is disabled by the sources policy`, {
+    protocol,
+    retryable: false
+  });
+}
+
+const tracking = new AsyncLocalStorage();
+
+// Run fn and collect every external host contacted while it runs, including by
+// nested trackers. Resolves with { value, hosts }; a rejection carries the hosts
+// contacted before it failed on error.hostsContacted.
+export async function trackHosts(fn) {
+  const scope = { hosts: new Map(), parent: tracking.getStore() };
+
+  try {
+    const value = await tracking.run(scope, fn);
+    return { value, hosts: [...scope.hosts.values()] };
+  } catch (error) {
+    if (error && typeof error === 'object') {
+      error.hostsContacted = [...scope.hosts.values()];
+    }
+    throw error;
+  }
+}
+
+// Called right before a request leaves the process. IANA bootstrap and WHOIS
+// discovery requests are recorded as source "iana"; they only carry the TLD.
+export function recordHost(source, host) {
+  for (let scope = tracking.getStore(); scope; scope = scope.parent) {
+    const key = `${source} ${host}`;
+    if (!scope.hosts.has(key)) scope.hosts.set(key, { host, source });
+  }
+}
@@ -0,0 +1,86 @@
+// Registry-specific answers for names that are not registered, or that cannot be
+// registered normally. Servers without an entry fall back to the generic patterns.
+
+const registryNotFoundPatterns = new Map([
+  ['whois.verisign-grs.com', [/^No match for "/im]],
+  ['whois.pir.org', [/^NOT FOUND/im, /^Domain not found\./im]],
+  ['whois.afilias.net', [/^NOT FOUND/im, /^Domain not found\./im]],
+  ['whois.nic.uk', [/^\s*No match for "/im, /This domain name has not been registered\./i]],
+  ['whois.cira.ca', [/^Not found:/im]],
+  ['whois.aunic.net', [/^NOT FOUND/im, /^No Data Found/im]],
+  ['whois.denic.de', [/^Status:\s*free/im]],
+  ['whois.nic.fr', [/^%% NOT FOUND/im, /^No entries found/im]],
+  ['whois.domain-registry.nl', [/is free/i, /^Status:\s*available/im]],
+  ['whois.dns.be', [/^Status:\s*AVAILABLE/im]],
+  ['whois.nic.ch', [/^The queried object does not exist/im]],
+  ['whois.nic.at', [/^% nothing found/im]],
+  ['whois.nic.it', [/^Status:\s*AVAILABLE/im]],
+  ['whois.iis.se', [/^domain "?\S+"? not found/im]],
+  ['whois.norid.no', [/^% No match/im]],
+  ['whois.dk-hostmaster.dk', [/^No entries found for the selected source/im]],
+  ['whois.dns.pl', [/^No information available about domain name/im]],
+  ['whois.nic.cz', [/^%ERROR:101: no entries found/im]],
+  ['whois.jprs.jp', [/^No match!!/im]],
+  ['whois.cnnic.cn', [/^No matching record\./im]],
+  ['whois.kr', [/The requested domain was not found/i, /is not registered/i]],
+  ['whois.registro.br', [/^% No match for/im]],
+  ['whois.nic.io', [/^NOT FOUND/im, /^Domain not found\./im]],
+  ['whois.nic.co', [/^No Data Found/im, /^NOT FOUND/im]],
+  ['whois.centralnic.com', [/^DOMAIN NOT FOUND/im, /^NOT FOUND/im]]
+]);
+
+const genericNotFoundPatterns = [
+  /^No match for/im,
+  /^NOT FOUND/im,
+  /^Domain not found/im,
+  /^No Data Found/im,
+  /^No entries found/im,
+  /^No Object Found/im,
+  /^The queried object does not exist/im,
+  /^No matching record/im,
+  /^Status:\s*(free|available)\s*$/im,
+  /^Domain Status:\s*No Object Found/im,
+  /^% No match/im,
+  /is available for registration/i
+];
+
+const reservedPatterns = [
+  /reserved (by|for) the registry/i,
+  /^Status:\s*(reserved|blocked|invalid)\s*$/im,
+  /^Domain Status:\s*(reserved|blocked)\b/im,
+  /has been reserved/i,
+  /is (a )?reserved (domain|name)/i,
+  /not available for registration/i
+];
+
+// Only a status field or a statement about the queried name itself counts; registry
+// boilerplate such as "premium names may be priced differently" must not match
+const premiumPatterns = [
+  /^\s*(Domain )?Status:\s*premium\s*$/im,
+  /^\s*(This|The) (domain|domain name|name) is (a )?premium (domain|name)\b/im
+];
+
+// Lines that only appear in an actual registration record
+const registrationMarkers = /^\s*(Creation Date|Created|Registered on|Registration Time|Registrar):/im;
+
+// Returns { status: 'not_found' | 'reserved' | 'premium', pattern } or null when the text
+// looks like an ordinary registration record
+export function classifyWhoisText(text, server) {
+  // Registered records can still mention "premium" or "not found" in registrar boilerplate
+  if (!text || registrationMarkers.test(text)) return null;
+
+  const checks = [
+    ['reserved', reservedPatterns],
+    ['premium', premiumPatterns],
+    ['not_found', [...(registryNotFoundPatterns.get(server) || []), ...genericNotFoundPatterns]]
+  ];
+
+  for (const [status, patterns] of checks) {
+    const pattern = patterns.find((candidate) => candidate.test(text));
+    if (pattern) {
+      return { status, pattern: pattern.source };
+    }
+  }
+
+  return null;
+}
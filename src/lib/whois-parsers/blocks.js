@@ -0,0 +1,167 @@
+import { createRecord, applyField, addNameserver, addStatus, setContactField, setRegistrar, splitKeyValue, CONTACT_KEYS } from './record.js';
+
+const REGISTRAR_KEYS = new Set(['name', 'organization', 'organisation', 'registrar', 'registrar name']);
+const NAMESERVER_KEYS = new Set(['hostname', 'nserver', 'nameserver', 'name server']);
+
+function isIndented(line) {
+  return /^\s/.test(line);
+}
+
+// Split the response into sections. A section starts with a header line
+// ("Registrant:", "Registrant" or "[Tech-C]") and holds the lines after it;
+// lines outside any known section are collected in unnamed sections.
+function splitSections(text, headerNames) {
+  let current = { header: null, lines: [] };
+  const sections = [current];
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.replace(/\s+$/, '');
+    if (/^\s*(%|#|>>>)/.test(line)) continue;
+
+    const trimmed = line.trim();
+    const bracketed = trimmed.match(/^\[([^\]]+)\]$/);
+    const name = trimmed.replace(/:$/, '').toLowerCase();
+
+    // A header is a bracketed name, or a known section name with nothing after it.
+    // Indented layouts (Nominet) only start sections after a blank line.
+    const header = bracketed
+      ? bracketed[1].toLowerCase()
+      : (headerNames.has(name) && !/:\s*\S/.test(trimmed) ? name : null);
+
+    if (header && (bracketed || !isIndented(line) || !current.header)) {
+      current = { header, lines: [] };
+      sections.push(current);
+    } else if (!trimmed) {
+      // A blank line ends an indented block; unindented layouts read on until the next header
+      if (current.lines.some(isIndented)) {
+        current = { header: null, lines: [] };
+        sections.push(current);
+      }
+    } else {
+      current.lines.push(line);
+    }
+  }
+
+  return sections;
+}
+
+function parseFieldLines(record, lines, fields) {
+  let lastTarget = null;
+
+  for (const line of lines) {
+    const pair = splitKeyValue(line);
+
+    if (pair && fields[pair.key]) {
+      lastTarget = fields[pair.key];
+      if (pair.value) applyField(record, lastTarget, pair.value);
+    } else if (!pair && lastTarget && isIndented(line)) {
+      // Continuation line, e.g. a second host under "nameservers:"
+      applyField(record, lastTarget, line);
+    } else {
+      lastTarget = null;
+    }
+  }
+}
+
+function parseContactLines(record, role, lines) {
+  let lastField = null;
+  let sawPair = false;
+  const freeLines = [];
+
+  for (const line of lines) {
+    const pair = splitKeyValue(line);
+
+    if (pair) {
+      sawPair = true;
+      lastField = CONTACT_KEYS[pair.key] || null;
+      if (lastField) setContactField(record, role, lastField, pair.value);
+    } else if (lastField === 'address') {
+      // Multi-line addresses continue on indented lines (.it)
+      setContactField(record, role, 'address', line);
+    } else if (!sawPair) {
+      freeLines.push(line.trim());
+    }
+  }
+
+  // Free-form blocks (Nominet, SWITCH) give the holder name first and the postal address after
+  if (freeLines.length > 0) {
+    setContactField(record, role, 'name', freeLines[0]);
+    for (const line of freeLines.slice(1)) {
+      setContactField(record, role, 'address', line);
+    }
+  }
+}
+
+function parseRegistrarLines(record, lines) {
+  for (const line of lines) {
+    const pair = splitKeyValue(line);
+    if (!pair) {
+      setRegistrar(record, line);
+    } else if (REGISTRAR_KEYS.has(pair.key)) {
+      setRegistrar(record, pair.value);
+    }
+  }
+}
+
+// Template for registries that group data into titled sections (Nominet,
+// SIDN, SWITCH, DENIC, ...). fields maps keys on "Key: value" lines to record
+// targets; sections maps header names to what the section holds:
+//   fields              key/value lines read with the fields map
+//   registrar           the registrar name, free-form or as "Name:"
+//   nameservers         one host per line (or "Hostname:" lines)
+//   status              one status per line
+//   contact:<role>      a contact, as key/value lines or name plus address lines
+//   address:<role>      the postal address of a contact
+//   value:<target>      a single value on the first line (e.g. value:date:created)
+export function createBlockParser({ fields = {}, sections = {} }) {
+  const headerNames = new Set(Object.keys(sections));
+
+  return function parseBlocks(text) {
+    const record = createRecord();
+
+    for (const section of splitSections(text, headerNames)) {
+      const kind = section.header ? sections[section.header] : 'fields';
+      if (!kind) continue;
+
+      const [type, ...target] = kind.split(':');
+
+      switch (type) {
+        case 'fields':
+          parseFieldLines(record, section.lines, fields);
+          break;
+
+        case 'registrar':
+          parseRegistrarLines(record, section.lines);
+          break;
+
+        case 'nameservers':
+          for (const line of section.lines) {
+            const pair = splitKeyValue(line);
+            if (!pair) addNameserver(record, line);
+            else if (NAMESERVER_KEYS.has(pair.key)) addNameserver(record, pair.value);
+            else if (fields[pair.key]) applyField(record, fields[pair.key], pair.value);
+          }
+          break;
+
+        case 'status':
+          for (const line of section.lines) addStatus(record, line);
+          break;
+
+        case 'contact':
+          parseContactLines(record, target[0], section.lines);
+          break;
+
+        case 'address':
+          for (const line of section.lines) setContactField(record, target[0], 'address', line);
+          break;
+
+        case 'value':
+          if (section.lines.length > 0) applyField(record, target.join(':'), section.lines[0]);
+          parseFieldLines(record, section.lines.slice(1), fields);
+          break;
+      }
+    }
+
+    return record;
+  };
+}
@@ -0,0 +1,24 @@
+import { createKeyValueParser } from './key-value.js';
+import { ICANN_FIELDS } from './icann.js';
+
+// Fallback for servers without a template: flat "key: value" lines. Most of them
+// are gTLD registries found through IANA referrals, so every ICANN key is read
+// too, plus the most common key names used elsewhere.
+export const parseGeneric = createKeyValueParser({
+  fields: {
+    ...ICANN_FIELDS,
+    registrant: 'contact:registrant:organization',
+    'registrant org': 'contact:registrant:organization',
+    'administrative contact email': 'contact:admin:email',
+    'technical contact email': 'contact:tech:email',
+    nameserver: 'nameserver',
+    nserver: 'nameserver',
+    status: 'status',
+    created: 'date:created',
+    registered: 'date:created',
+    'expiry date': 'date:expires',
+    expires: 'date:expires',
+    'last modified': 'date:updated',
+    changed: 'date:updated'
+  }
+});
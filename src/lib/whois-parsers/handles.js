@@ -0,0 +1,66 @@
+import { createRecord, applyField, setContactField, splitKeyValue, CONTACT_KEYS } from './record.js';
+
+// Split an RPSL-style response into objects separated by blank lines, each a
+// list of { key, value } pairs
+function splitObjects(text) {
+  const objects = [];
+  let current = [];
+
+  for (const line of text.split('\n')) {
+    if (/^\s*(%|#)/.test(line)) continue;
+
+    const pair = splitKeyValue(line);
+    if (pair) {
+      current.push(pair);
+    } else if (!line.trim() && current.length > 0) {
+      objects.push(current);
+      current = [];
+    }
+  }
+
+  if (current.length > 0) objects.push(current);
+  return objects;
+}
+
+// Template for registries that print the domain object followed by separate
+// contact objects referenced by handle (AFNIC, nic.at, CZ.NIC).
+//   fields         record targets for keys of the domain (and nameserver) objects
+//   roles          keys on the domain object that reference contacts, e.g. { 'tech-c': 'tech' }
+//   handleKey      the key that starts a contact object (default "nic-hdl")
+//   contactFields  overrides for the shared contact key map
+export function createHandleParser({ fields, roles, handleKey = 'nic-hdl', contactFields = {} }) {
+  const contactKeys = { ...CONTACT_KEYS, ...contactFields };
+
+  return function parseHandles(text) {
+    const record = createRecord();
+    const contacts = new Map();
+    const references = [];
+
+    for (const object of splitObjects(text)) {
+      const handle = object.find((pair) => pair.key === handleKey);
+
+      if (handle) {
+        contacts.set(handle.value.toUpperCase(), object);
+        continue;
+      }
+
+      for (const { key, value } of object) {
+        if (roles[key]) references.push({ role: roles[key], handle: value.toUpperCase() });
+        if (fields[key] && value) applyField(record, fields[key], value);
+      }
+    }
+
+    for (const { role, handle } of references) {
+      const contact = contacts.get(handle);
+      if (!contact) continue;
+
+      setContactField(record, role, 'handle', handle);
+      for (const { key, value } of contact) {
+        const field = contactKeys[key];
+        if (field && field !== 'handle') setContactField(record, role, field, value);
+      }
+    }
+
+    return record;
+  };
+}
@@ -0,0 +1,46 @@
+import { createKeyValueParser } from './key-value.js';
+
+// Registrant/Admin/Tech/Billing keys in the ICANN RDDS format, e.g. "Tech Email"
+function icannContactFields() {
+  const parts = {
+    name: 'name',
+    organization: 'organization',
+    email: 'email',
+    phone: 'phone',
+    street: 'address',
+    city: 'address',
+    'state/province': 'address',
+    'postal code': 'address',
+    country: 'country'
+  };
+  const roles = { registrant: 'registrant', admin: 'admin', tech: 'tech', billing: 'billing' };
+  const fields = {};
+
+  for (const [prefix, role] of Object.entries(roles)) {
+    for (const [part, field] of Object.entries(parts)) {
+      fields[`${prefix} ${part}`] = `contact:${role}:${field}`;
+    }
+  }
+  return fields;
+}
+
+// gTLD registries, accredited registrars and the ccTLDs that adopted the same layout
+export const ICANN_FIELDS = {
+  ...icannContactFields(),
+  registrar: 'registrar',
+  'sponsoring registrar': 'registrar',
+  'registrar iana id': 'registrar-info:ianaId',
+  'registrar url': 'registrar-info:url',
+  'registrar abuse contact email': 'registrar-info:abuseEmail',
+  'registrar abuse contact phone': 'registrar-info:abusePhone',
+  'creation date': 'date:created',
+  'registry expiry date': 'date:expires',
+  'registrar registration expiration date': 'date:expires',
+  'expiration date': 'date:expires',
+  'updated date': 'date:updated',
+  'name server': 'nameserver',
+  'domain status': 'status',
+  dnssec: 'dnssec'
+};
+
+export const parseIcann = createKeyValueParser({ fields: ICANN_FIELDS });
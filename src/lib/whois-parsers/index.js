@@ -0,0 +1,66 @@
+import { parseGeneric } from './generic.js';
+import { parseIcann } from './icann.js';
+import { BUILTIN_TEMPLATES } from './templates.js';
+
+// Maps WHOIS servers to the parser that understands their output format.
+// A parser is a function (text) => record, see record.js for the shape.
+export class WhoisParserRegistry {
+  constructor(templates = BUILTIN_TEMPLATES) {
+    this.parsers = new Map();
+    this.fallback = parseGeneric;
+    // Registrar WHOIS servers reached through referrals use the ICANN RAA layout
+    this.registrarFallback = parseIcann;
+
+    for (const [servers, parser] of templates) {
+      this.register(servers, parser);
+    }
+  }
+
+  register(servers, parser) {
+    for (const server of [].concat(servers)) {
+      this.parsers.set(server.toLowerCase(), parser);
+    }
+    return this;
+  }
+
+  get(server, { registrar = false } = {}) {
+    // Port 43 responses name non-default servers as host:port
+    const host = server ? server.toLowerCase().replace(/:\d+$/, '') : null;
+    return (host && this.parsers.get(host)) || (registrar ? this.registrarFallback : this.fallback);
+  }
+
+  has(server) {
+    return this.get(server) !== this.fallback;
+  }
+
+  parse(text, server, options) {
+    const parser = this.get(server, options);
+    const record = parser(text);
+
+    // Templates that miss a field still get the generic key names as a second chance
+    if (parser !== this.fallback) {
+      mergeMissingFields(record, this.fallback(text));
+    }
+
+    return record;
+  }
+}
+
+// Copy fields from fallback into record where record has nothing
+export function mergeMissingFields(record, fallback) {
+  for (const [field, value] of Object.entries(fallback)) {
+    if (field === 'dates') {
+      for (const [type, date] of Object.entries(value)) {
+        if (!record.dates[type]) record.dates[type] = date;
+      }
+    } else if (field === 'glue') {
+      record.glue = { ...value, ...record.glue };
+    } else if (Array.isArray(value)) {
+      if (record[field].length === 0) record[field] = value;
+    } else if (!record[field] && value) {
+      record[field] = value;
+    }
+  }
+}
+
+export const defaultWhoisParsers = new WhoisParserRegistry();
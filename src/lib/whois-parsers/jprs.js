@@ -0,0 +1,68 @@
+import { createRecord, applyField, setContactField } from './record.js';
+
+// JPRS labels each field in brackets, optionally after a letter for
+// co.jp-style names: "a. [Domain Name]   EXAMPLE.JP"
+const FIELD_LINE = /^\s*(?:[a-z]\.\s*)?\[([^\]]+)\]\s*(.*)$/i;
+
+const DOMAIN_FIELDS = {
+  registrant: 'contact:registrant:name',
+  organization: 'contact:registrant:organization',
+  'name server': 'nameserver',
+  'signing key': 'dnskey',
+  'created on': 'date:created',
+  'registered date': 'date:created',
+  'expires on': 'date:expires',
+  'last updated': 'date:updated',
+  'last update': 'date:updated',
+  status: 'status',
+  state: 'status',
+  'lock status': 'status'
+};
+
+const CONTACT_FIELDS = {
+  name: 'name',
+  email: 'email',
+  'postal address': 'address',
+  'postal code': 'address',
+  phone: 'phone'
+};
+
+// Parser for whois.jprs.jp (queried with "/e" for English output)
+export function parseJprs(text) {
+  const record = createRecord();
+  let inContact = false;
+
+  for (const line of text.split('\n')) {
+    // "Contact Information:" introduces the registrant's public contact details
+    if (/^\s*Contact Information:/i.test(line)) {
+      inContact = true;
+      continue;
+    }
+    if (/^\s*Domain Information:/i.test(line)) {
+      inContact = false;
+      continue;
+    }
+
+    const match = line.match(FIELD_LINE);
+    if (!match || !match[2].trim()) continue;
+
+    const key = match[1].trim().toLowerCase();
+    const value = match[2].trim();
+
+    if (inContact) {
+      if (CONTACT_FIELDS[key]) setContactField(record, 'registrant', CONTACT_FIELDS[key], value);
+    } else if (key === 'state') {
+      // "[State]  Connected (2025/01/31)" carries the expiry date for co.jp-style names
+      const expiry = value.match(/\((\d{4}\/\d{2}\/\d{2})\)/);
+      if (expiry) applyField(record, 'date:expires', expiry[1]);
+      applyField(record, 'status', value.replace(/\s*\(.*\)$/, ''));
+    } else if (key === 'administrative contact' || key === 'technical contact') {
+      // co.jp-style names only give JPNIC handles for these contacts
+      setContactField(record, key.startsWith('admin') ? 'admin' : 'tech', 'handle', value);
+    } else if (DOMAIN_FIELDS[key]) {
+      applyField(record, DOMAIN_FIELDS[key], value);
+    }
+  }
+
+  return record;
+}
@@ -0,0 +1,21 @@
+import { createRecord, applyField, splitKeyValue } from './record.js';
+
+// Template for registries that print one "Key: value" pair per line.
+// fields maps lower-cased keys to record targets understood by applyField.
+export function createKeyValueParser({ fields }) {
+  return function parseKeyValue(text) {
+    const record = createRecord();
+
+    for (const line of text.split('\n')) {
+      if (/^\s*(%|#|>>>)/.test(line)) continue;
+
+      const pair = splitKeyValue(line);
+      if (!pair || !pair.value) continue;
+
+      const target = fields[pair.key];
+      if (target) applyField(record, target, pair.value);
+    }
+
+    return record;
+  };
+}
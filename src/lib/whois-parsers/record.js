@@ -0,0 +1,163 @@
+// Shared building blocks for WHOIS parser templates. Every parser returns a
+// record with the same shape so WhoisClient can treat all registries alike.
+
+export const CONTACT_ROLES = {
+  registrant: 'registrant',
+  admin: 'adminContact',
+  tech: 'techContact',
+  billing: 'billingContact'
+};
+
+export function createRecord() {
+  return {
+    registrar: null,
+    registrarInfo: null,
+    registrant: null,
+    adminContact: null,
+    techContact: null,
+    billingContact: null,
+    nameservers: [],
+    glue: {},
+    status: [],
+    dates: {},
+    dnssec: null
+  };
+}
+
+// Keys registries use for the parts of a contact, shared by the templates
+export const CONTACT_KEYS = {
+  name: 'name',
+  'contact name': 'name',
+  personname: 'name',
+  organization: 'organization',
+  organisation: 'organization',
+  org: 'organization',
+  company: 'organization',
+  email: 'email',
+  'e-mail': 'email',
+  'holder email': 'email',
+  phone: 'phone',
+  telephone: 'phone',
+  address: 'address',
+  street: 'address',
+  'street address': 'address',
+  'postal address': 'address',
+  postalcode: 'address',
+  'postal code': 'address',
+  city: 'address',
+  country: 'country',
+  countrycode: 'country',
+  handle: 'handle',
+  'nic-hdl': 'handle'
+};
+
+// Values registries print instead of withholding a field entirely
+const PLACEHOLDER_VALUES = /^(n\/a|\*+n\/a\*+|not disclosed.*|not shown.*|redacted for privacy|data protected.*|-+)$/i;
+
+export function cleanValue(value) {
+  if (value == null) return null;
+  const trimmed = String(value).trim();
+  return trimmed && !PLACEHOLDER_VALUES.test(trimmed) ? trimmed : null;
+}
+
+export function setContactField(record, role, field, value) {
+  const cleaned = cleanValue(value);
+  const key = CONTACT_ROLES[role];
+  if (!cleaned || !key) return;
+
+  if (!record[key]) record[key] = {};
+  const contact = record[key];
+
+  // Address lines accumulate; everything else keeps the first value seen
+  if (field === 'address') {
+    contact.address = contact.address ? `${contact.address}, ${cleaned}` : cleaned;
+  } else if (!contact[field]) {
+    contact[field] = cleaned;
+  }
+}
+
+export function addNameserver(record, value) {
+  // Some registries append glue addresses or a trailing dot to the host name
+  const [name, ...rest] = cleanValue(value)?.split(/\s+/) || [];
+  const host = name?.replace(/\.$/, '').toLowerCase();
+  if (!host || !host.includes('.')) return;
+
+  if (!record.nameservers.includes(host)) {
+    record.nameservers.push(host);
+  }
+
+  const addresses = rest.filter((token) => /^[\d.]+$/.test(token) || /^[0-9a-f:]+:[0-9a-f:]*$/i.test(token));
+  if (addresses.length > 0) {
+    record.glue[host] = [...new Set([...(record.glue[host] || []), ...addresses])];
+  }
+}
+
+export function addStatus(record, value) {
+  // ICANN-format statuses carry an explanatory URL after the EPP code
+  const status = cleanValue(value)?.split(/\s+https?:\/\//)[0].trim();
+  if (status && !record.status.includes(status)) {
+    record.status.push(status);
+  }
+}
+
+export function setDate(record, type, value) {
+  const cleaned = cleanValue(value);
+  if (cleaned && !record.dates[type]) {
+    record.dates[type] = cleaned;
+  }
+}
+
+export function setRegistrar(record, value) {
+  // Nominet appends the registrar tag ("Example Ltd [Tag = EXAMPLE]"), nic.at the
+  // registrar's web site ("Example GmbH ( https://example.at )")
+  const cleaned = cleanValue(value)
+    ?.replace(/\s*\[Tag = [^\]]*\]$/i, '')
+    .replace(/\s*\(\s*https?:\/\/[^)]*\)$/i, '');
+  if (cleaned && !record.registrar) {
+    record.registrar = cleaned;
+  }
+}
+
+// Apply one "field" from a template (e.g. "date:created", "contact:tech:email")
+// to the record
+export function applyField(record, target, value) {
+  const [kind, ...rest] = target.split(':');
+
+  switch (kind) {
+    case 'registrar':
+      setRegistrar(record, value);
+      break;
+    case 'registrar-info':
+      // IANA ID, URL and abuse contact printed alongside the registrar name
+      if (cleanValue(value)) {
+        record.registrarInfo = { ...record.registrarInfo, [rest[0]]: cleanValue(value) };
+      }
+      break;
+    case 'nameserver':
+      addNameserver(record, value);
+      break;
+    case 'status':
+      addStatus(record, value);
+      break;
+    case 'dnssec':
+      if (!record.dnssec) record.dnssec = cleanValue(value)?.toLowerCase() || null;
+      break;
+    case 'dnskey':
+      // Registries that only list the key material (e.g. DENIC) are signed by definition
+      if (cleanValue(value)) record.dnssec = 'signed';
+      break;
+    case 'date':
+      setDate(record, rest[0], value);
+      break;
+    case 'contact':
+      setContactField(record, rest[0], rest[1], value);
+      break;
+  }
+}
+
+// Split "Key: value" (or "Key....: value") into a normalized key and its value
+export function splitKeyValue(line) {
+  const match = line.match(/^\s*([^:]+?)\.*\s*:\s*(.*)$/);
+  if (!match || /^https?$/i.test(match[1])) return null;
+  return { key: match[1].trim().toLowerCase(), value: match[2].trim() };
+}
@@ -0,0 +1,342 @@
+import { createKeyValueParser } from './key-value.js';
+import { createBlockParser } from './blocks.js';
+import { createHandleParser } from './handles.js';
+import { parseIcann } from './icann.js';
+import { parseJprs } from './jprs.js';
+
+// Nominet (.uk): indented multi-line blocks under titled headers
+const nominet = createBlockParser({
+  fields: {
+    'registered on': 'date:created',
+    'expiry date': 'date:expires',
+    'last updated': 'date:updated'
+  },
+  sections: {
+    registrant: 'contact:registrant',
+    "registrant's address": 'address:registrant',
+    registrar: 'registrar',
+    'relevant dates': 'fields',
+    'registration status': 'status',
+    'name servers': 'nameservers',
+    dnssec: 'value:dnssec'
+  }
+});
+
+// DENIC (.de): domain fields first, then [Holder], [Tech-C] and [Zone-C] sections
+const denic = createBlockParser({
+  fields: {
+    nserver: 'nameserver',
+    dnskey: 'dnskey',
+    status: 'status',
+    changed: 'date:updated'
+  },
+  sections: {
+    holder: 'contact:registrant',
+    'admin-c': 'contact:admin',
+    'tech-c': 'contact:tech'
+  }
+});
+
+// AFNIC (.fr): RPSL objects, contacts repeated as nic-hdl blocks
+const afnic = createHandleParser({
+  fields: {
+    registrar: 'registrar',
+    status: 'status',
+    nserver: 'nameserver',
+    created: 'date:created',
+    'expiry date': 'date:expires',
+    'last-update': 'date:updated'
+  },
+  roles: { 'holder-c': 'registrant', 'admin-c': 'admin', 'tech-c': 'tech' },
+  contactFields: { contact: 'name' }
+});
+
+// nic.at (.at): RPSL objects with personname/organization contacts
+const nicAt = createHandleParser({
+  fields: {
+    registrar: 'registrar',
+    nserver: 'nameserver',
+    changed: 'date:updated'
+  },
+  roles: { registrant: 'registrant', 'tech-c': 'tech' }
+});
+
+// CZ.NIC (.cz): FRED objects; contacts start with "contact: HANDLE"
+const czNic = createHandleParser({
+  fields: {
+    registrar: 'registrar',
+    nserver: 'nameserver',
+    registered: 'date:created',
+    changed: 'date:updated',
+    expire: 'date:expires'
+  },
+  roles: { registrant: 'registrant', 'admin-c': 'admin' },
+  handleKey: 'contact'
+});
+
+// SIDN (.nl): key/value header followed by indented blocks
+const sidn = createBlockParser({
+  fields: {
+    status: 'status',
+    dnssec: 'dnssec',
+    'creation date': 'date:created',
+    'updated date': 'date:updated'
+  },
+  sections: {
+    registrar: 'registrar',
+    'domain nameservers': 'nameservers'
+  }
+});
+
+// DNS Belgium (.be)
+const dnsBe = createBlockParser({
+  fields: {
+    registered: 'date:created'
+  },
+  sections: {
+    registrant: 'contact:registrant',
+    'registrar technical contacts': 'contact:tech',
+    registrar: 'registrar',
+    nameservers: 'nameservers',
+    flags: 'status'
+  }
+});
+
+// SWITCH (.ch): one value per titled block, no indentation
+const switchCh = createBlockParser({
+  fields: {
+    dnssec: 'dnssec'
+  },
+  sections: {
+    'holder of domain name': 'contact:registrant',
+    registrar: 'registrar',
+    'first registration date': 'value:date:created',
+    'name servers': 'nameservers'
+  }
+});
+
+// Registro .it: untitled key/value header, then sections with indented fields
+const nicIt = createBlockParser({
+  fields: {
+    status: 'status',
+    signed: 'dnssec',
+    created: 'date:created',
+    'last update': 'date:updated',
+    'expire date': 'date:expires'
+  },
+  sections: {
+    registrant: 'contact:registrant',
+    'admin contact': 'contact:admin',
+    'technical contacts': 'contact:tech',
+    registrar: 'registrar',
+    nameservers: 'nameservers'
+  }
+});
+
+// Punktum dk (.dk)
+const dkHostmaster = createBlockParser({
+  fields: {
+    registered: 'date:created',
+    expires: 'date:expires',
+    dnssec: 'dnssec',
+    status: 'status'
+  },
+  sections: {
+    registrant: 'contact:registrant',
+    nameservers: 'nameservers'
+  }
+});
+
+// Traficom (.fi): dotted keys grouped under Holder, Registrar and Tech
+const ficora = createBlockParser({
+  fields: {
+    status: 'status',
+    created: 'date:created',
+    expires: 'date:expires',
+    modified: 'date:updated',
+    nserver: 'nameserver',
+    dnssec: 'dnssec'
+  },
+  sections: {
+    nameservers: 'fields',
+    holder: 'contact:registrant',
+    registrar: 'registrar',
+    tech: 'contact:tech'
+  }
+});
+
+// NASK (.pl): nameservers continue on indented lines, registrar as a free-form block
+const dnsPl = createBlockParser({
+  fields: {
+    nameservers: 'nameserver',
+    created: 'date:created',
+    'last modified': 'date:updated',
+    'renewal date': 'date:expires',
+    dnssec: 'dnssec'
+  },
+  sections: {
+    registrar: 'registrar'
+  }
+});
+
+// Register.bg (.bg)
+const registerBg = createBlockParser({
+  fields: {
+    'activated on': 'date:created',
+    'expires at': 'date:expires',
+    'registration status': 'status',
+    dnssec: 'dnssec'
+  },
+  sections: {
+    registrant: 'contact:registrant',
+    'name server information': 'nameservers'
+  }
+});
+
+// NIC.LV (.lv): bracketed sections like DENIC
+const nicLv = createBlockParser({
+  fields: {
+    status: 'status'
+  },
+  sections: {
+    domain: 'fields',
+    holder: 'contact:registrant',
+    tech: 'contact:tech',
+    registrar: 'registrar',
+    nservers: 'nameservers'
+  }
+});
+
+// Estonian Internet Foundation (.ee)
+const tldEe = createBlockParser({
+  fields: {
+    status: 'status',
+    registered: 'date:created',
+    changed: 'date:updated',
+    expire: 'date:expires'
+  },
+  sections: {
+    domain: 'fields',
+    registrant: 'contact:registrant',
+    'administrative contact': 'contact:admin',
+    'technical contact': 'contact:tech',
+    registrar: 'registrar',
+    'name servers': 'nameservers'
+  }
+});
+
+// auDA (.au): ICANN-like keys with registry-specific names
+const auda = createKeyValueParser({
+  fields: {
+    'registrar name': 'registrar',
+    'last modified': 'date:updated',
+    status: 'status',
+    registrant: 'contact:registrant:organization',
+    'registrant contact name': 'contact:registrant:name',
+    'registrant contact email': 'contact:registrant:email',
+    'tech contact name': 'contact:tech:name',
+    'tech contact email': 'contact:tech:email',
+    'name server': 'nameserver',
+    dnssec: 'dnssec'
+  }
+});
+
+// Flat key/value ccTLD registries, one field map each
+const iisSe = createKeyValueParser({
+  fields: {
+    registrar: 'registrar',
+    created: 'date:created',
+    modified: 'date:updated',
+    expires: 'date:expires',
+    nserver: 'nameserver',
+    dnssec: 'dnssec',
+    status: 'status'
+  }
+});
+
+const norid = createKeyValueParser({
+  fields: {
+    created: 'date:created',
+    'last updated': 'date:updated',
+    dnssec: 'dnssec'
+  }
+});
+
+const skNic = createKeyValueParser({
+  fields: {
+    registrar: 'registrar',
+    created: 'date:created',
+    'valid until': 'date:expires',
+    updated: 'date:updated',
+    'epp status': 'status',
+    nameserver: 'nameserver'
+  }
+});
+
+const rotld = createKeyValueParser({
+  fields: {
+    registrar: 'registrar',
+    'registered on': 'date:created',
+    'expires on': 'date:expires',
+    nameserver: 'nameserver',
+    'domain status': 'status',
+    dnssec: 'dnssec'
+  }
+});
+
+const registerSi = createKeyValueParser({
+  fields: {
+    registrar: 'registrar',
+    nameserver: 'nameserver',
+    status: 'status',
+    created: 'date:created',
+    expire: 'date:expires'
+  }
+});
+
+const domregLt = createKeyValueParser({
+  fields: {
+    registrar: 'registrar',
+    status: 'status',
+    registered: 'date:created',
+    expires: 'date:expires',
+    'contact organization': 'contact:registrant:organization',
+    'contact email': 'contact:registrant:email',
+    nameserver: 'nameserver'
+  }
+});
+
+// Built-in templates keyed by WHOIS server. Servers not listed here (and
+// registries such as whois.nic.es or whois.nic.hu that publish too little to
+// template) use the generic parser, which also reads the ICANN keys.
+export const BUILTIN_TEMPLATES = [
+  [[
+    'whois.verisign-grs.com', 'whois.pir.org', 'whois.afilias.net', 'whois.nic.name',
+    'whois.cira.ca', 'whois.weare.ie', 'whois.dns.hr', 'whois.nic.xyz', 'whois.nic.top',
+    'whois.centralnic.com', 'whois.nic.tech', 'whois.nic.store', 'whois.nic.io',
+    'whois.nic.ai', 'whois.nic.co', 'whois.nic.me', 'whois.nic.tv', 'whois.nic.cc'
+  ], parseIcann],
+  [['whois.nic.uk'], nominet],
+  [['whois.denic.de'], denic],
+  [['whois.nic.fr'], afnic],
+  [['whois.jprs.jp'], parseJprs],
+  [['whois.nic.at'], nicAt],
+  [['whois.nic.cz'], czNic],
+  [['whois.domain-registry.nl'], sidn],
+  [['whois.dns.be'], dnsBe],
+  [['whois.nic.ch'], switchCh],
+  [['whois.nic.it'], nicIt],
+  [['whois.dk-hostmaster.dk'], dkHostmaster],
+  [['whois.ficora.fi', 'whois.fi'], ficora],
+  [['whois.dns.pl'], dnsPl],
+  [['whois.register.bg'], registerBg],
+  [['whois.nic.lv'], nicLv],
+  [['whois.tld.ee'], tldEe],
+  [['whois.aunic.net', 'whois.auda.org.au'], auda],
+  [['whois.iis.se'], iisSe],
+  [['whois.norid.no'], norid],
+  [['whois.sk-nic.sk'], skNic],
+  [['whois.rotld.ro'], rotld],
+  [['whois.register.si'], registerSi],
+  [['whois.domreg.lt'], domregLt]
+];
@@ -1,54 +1,106 @@
 import { RegistryDetector } from '../services/registry-detector.js';
+import { Port43Client } from './port43.js';
+import { annotateDomainNames, normalizeDomain } from './idn.js';
+import { classifyWhoisText } from './whois-availability.js';
+import { defaultWhoisParsers, mergeMissingFields } from './whois-parsers/index.js';
+import { parseRegistryDate } from './dates.js';
+import { defaultLookupCache } from './cache.js';
+import { defaultScheduler, RetryableError } from './scheduler.js';
+import { ERROR_CODES, LookupError, toLookupError } from './errors.js';
+import { recordHost, SOURCES, sourceDisabled } from './sources.js';
+
+// Answers servers give instead of data when we query too fast
+const rateLimitPatterns = [
+  /query rate limit exceeded/i,
+  /limit exceeded/i,
+  /too many (queries|requests)/i,
+  /number of allowed queries exceeded/i,
+  /exceeded the (maximum|allowed) (number of )?(queries|requests)/i,
+  /please try again later/i
+];
 
 export class WhoisClient {
-  constructor() {
-    this.registryDetector = new RegistryDetector();
-    this.timeout = 15000; // 15 seconds timeout for WHOIS
+  constructor(options = {}) {
+    this.registryDetector = options.registryDetector || new RegistryDetector();
+    this.timeout = options.timeout || 15000;
+    this.userAgent = options.userAgent || 'domaindetails-mcp';
+    // DomainDetails backend endpoints tried when the registry can't be reached over port 43
+    this.apiUrls = options.apiUrls || ['https://api.domaindetails.com/api/whois'];
+    // Which of whois-direct and domaindetails-api lookups may use unless a call narrows it
+    this.sources = options.sources || SOURCES;
+    this.cache = options.cache || defaultLookupCache;
+    this.scheduler = options.scheduler || defaultScheduler;
+    this.port43Client = new Port43Client({ timeout: this.timeout });
+    this.parsers = options.parsers || defaultWhoisParsers;
+    this.maxReferrals = 2;
   }
 
-  async lookupDomain(domain) {
-    if (!domain || typeof domain !== 'string') {
-      throw new Error('Invalid domain provided');
-    }
-
-    const cleanDomain = domain.toLowerCase().trim();
-    
-    // Validate domain format
-    if (!/^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i.test(cleanDomain)) {
-      throw new Error('Invalid domain format');
-    }
+  async lookupDomain(domain, options = {}) {
+    // Validates and converts to the A-label form used on the wire
+    const name = normalizeDomain(domain);
 
     try {
-      const whoisServer = await this.registryDetector.getWhoisServer(cleanDomain);
-      const result = await this.queryWhoisServer(whoisServer, cleanDomain);
-      
-      // If result is already structured (from DomainDetails API), return it
-      if (result && typeof result === 'object' && result.parsedData) {
-        return this.formatApiResponse(result, cleanDomain);
-      }
-      
-      // Otherwise parse as raw WHOIS text (fallback)
-      return this.parseWhoisResponse(result, cleanDomain);
+      // Registries only know the registrable domain, never its subdomains
+      const domainInfo = await this.registryDetector.parseDomain(name.ascii);
+      const { registrableDomain } = domainInfo;
+
+      // A cached answer is served whatever the sources: using it sends nothing anywhere
+      const sources = options.sources || this.sources;
+      const { value: result, cache } = await this.cache.getOrLoad(
+        `whois:domain:${registrableDomain}`,
+        () => this.queryDomain(registrableDomain, sources),
+        { mode: options.cache, isNegative: (value) => !value.found }
+      );
+
+      result.cache = cache;
+      return annotateDomainNames(result, name, domainInfo);
       
     } catch (error) {
-      throw new Error(`WHOIS lookup failed: ${error.message}`);
+      const lookupError = toLookupError(error, { protocol: 'whois' });
+      lookupError.message = `WHOIS lookup failed: ${lookupError.message}`;
+      throw lookupError;
     }
   }
 
-  async queryWhoisServer(server, domain) {
-    // Use DomainDetails.com backend API for WHOIS lookups
-    // This backend has proper WHOIS client implementation
-    const domainDetailsApiUrls = [
-      `https://api.domaindetails.com/api/whois?domain=${domain}`,
-      `http://localhost:3001/api/whois?domain=${domain}` // Fallback for local development
-    ];
+  async queryDomain(registrableDomain, sources = this.sources) {
+    const direct = sources.includes('whois-direct');
+    if (!direct && !sources.includes('domaindetails-api')) {
+      throw sourceDisabled('whois-direct', 'whois');
+    }
+
+    const whoisServer = direct ? await this.registryDetector.getWhoisServer(registrableDomain) : null;
+    const result = await this.queryWhoisServer(whoisServer, registrableDomain, sources);
+    
+    // If result is already structured (from DomainDetails API), return it
+    return result && typeof result === 'object' && result.parsedData
+      ? this.formatApiResponse(result, registrableDomain)
+      : this.parseDirectResponse(result, registrableDomain);
+  }
+
+  async queryWhoisServer(server, domain, sources = this.sources) {
+    // Query the registry directly over port 43 first
+    let directError = null;
+    if (server) {
+      try {
+        return await this.queryDirect(server, domain);
+      } catch (error) {
+        directError = toLookupError(error, { protocol: 'whois', server });
+        console.warn(`Direct WHOIS query to ${server} failed: ${error.message}`);
+      }
+    }
 
-    for (const apiUrl of domainDetailsApiUrls) {
+    // Fall back to the DomainDetails.com backend API (e.g. when outbound port 43 is blocked)
+    const apiUrls = sources.includes('domaindetails-api') ? this.apiUrls : [];
+    for (const apiUrl of apiUrls) {
       try {
-        const response = await fetch(apiUrl, {
+        const url = new URL(apiUrl);
+        url.searchParams.set('domain', domain);
+        recordHost('domaindetails-api', url.host);
+
+        const response = await fetch(url, {
           method: 'GET',
           headers: {
-            'User-Agent': 'RDAP-MCP-Server/1.0.0',
+            'User-Agent': this.userAgent,
             'Accept': 'application/json'
           },
           signal: AbortSignal.timeout(this.timeout)
@@ -68,15 +120,195 @@ export class WhoisClient {
       }
     }
 
-    // If DomainDetails API fails, return a descriptive message
-    return `% WHOIS information not available via DomainDetails API for ${domain}
-% Domain: ${domain}
-% Attempted servers: ${domainDetailsApiUrls.join(', ')}
-% Status: API lookup failed`;
+    const attempted = server ? [server, ...apiUrls] : apiUrls;
+    const message = `No WHOIS data available for ${domain} (tried ${attempted.join(', ')})`;
+
+    if (!directError) {
+      // No registry WHOIS server is known for this TLD (or we may not ask it) and the API had nothing either
+      const code = sources.includes('whois-direct') ? ERROR_CODES.UNSUPPORTED_TLD : ERROR_CODES.UPSTREAM_ERROR;
+      throw new LookupError(code, message, { protocol: 'whois' });
+    }
+
+    // Report why the registry itself failed; the API is only a fallback
+    throw new LookupError(directError.code, message, {
+      protocol: 'whois',
+      server: directError.server,
+      details: { direct_error: directError.message }
+    });
+  }
+
+  async queryDirect(server, domain) {
+    const requests = [];
+    const registry = await this.queryPort43(server, domain, requests);
+    const response = {
+      server: registry.server,
+      text: registry.text,
+      referrals: [],
+      requests
+    };
+
+    // Thin registries (e.g. Verisign for .com/.net) only point at the registrar's WHOIS server
+    const visited = new Set([registry.server]);
+    let current = registry;
+
+    for (let i = 0; i < this.maxReferrals; i++) {
+      const referralServer = this.extractReferralServer(current.text);
+      if (!referralServer || visited.has(referralServer)) break;
+      visited.add(referralServer);
+
+      try {
+        current = await this.queryPort43(referralServer, domain, requests);
+        response.referrals.push({ server: current.server, text: current.text });
+      } catch (error) {
+        response.referralError = `${referralServer}: ${error.message}`;
+        break;
+      }
+    }
+
+    return response;
+  }
+
+  async queryPort43(server, domain, requests) {
+    // Requests are rate limited and retried per WHOIS host
+    try {
+      const { value, log } = await this.scheduler.run(`whois:${server}`, async () => {
+        recordHost('whois-direct', server);
+        const response = await this.port43Client.query(server, domain);
+
+        if (response.text.length < 500 && rateLimitPatterns.some((pattern) => pattern.test(response.text))) {
+          throw new RetryableError(`Rate limited by ${server}: ${response.text.trim().split('\n')[0]}`);
+        }
+
+        return response;
+      });
+
+      requests.push(log);
+      return value;
+    } catch (error) {
+      if (error.requestLog) {
+        requests.push(error.requestLog);
+        error.message += ` (after ${error.requestLog.attempts} attempt(s))`;
+      }
+
+      const context = { protocol: 'whois', server };
+      if (error instanceof RetryableError && !error.code) {
+        throw new LookupError(ERROR_CODES.RATE_LIMITED, error.message, context);
+      }
+      throw toLookupError(error, context);
+    }
+  }
+
+  extractReferralServer(text) {
+    if (!text) return null;
+
+    const patterns = [
+      /^\s*Registrar WHOIS Server:\s*(\S+)/im,
+      /^\s*Whois Server:\s*(\S+)/im,
+      /^\s*ReferralServer:\s*(\S+)/im
+    ];
+
+    for (const pattern of patterns) {
+      const match = text.match(pattern);
+      if (match) {
+        const server = match[1].toLowerCase()
+          .replace(/^(r?whois|https?):\/\//, '')
+          .replace(/\/.*$/, '');
+
+        if (server && server.includes('.')) {
+          return server;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  parseDirectResponse(response, domain) {
+    const result = this.parseWhoisResponse(response.text, domain, response.server);
+    result.whoisServer = response.server;
+    result.requests = response.requests;
+
+    const referral = response.referrals[response.referrals.length - 1];
+    if (referral && result.found) {
+      const registrarResult = this.parseWhoisResponse(referral.text, domain, referral.server, { registrar: true });
+      if (registrarResult.found) {
+        this.mergeRegistrarResponse(result, registrarResult);
+      }
+      result.referralServer = referral.server;
+      result.registrarRawData = referral.text;
+    }
+
+    if (response.referralError) {
+      result.referralError = response.referralError;
+    }
+
+    return result;
+  }
+
+  buildUnregisteredResult(domain, rawData, availability) {
+    const messages = {
+      not_found: 'Domain not found in registry',
+      reserved: 'Domain is reserved by the registry',
+      premium: 'Domain is offered as a premium name'
+    };
+
+    return {
+      domain,
+      found: false,
+      source: 'whois',
+      status: availability.status,
+      message: messages[availability.status],
+      availability,
+      rawData
+    };
+  }
+
+  mergeRegistrarResponse(result, registrar) {
+    // The registry stays authoritative for status, nameservers and dates;
+    // the registrar record fills in the contact details thin registries omit.
+    // registrarFields lists what was taken from the registrar so callers can attribute it.
+    const taken = [];
+
+    if (result.registrarInfo && registrar.registrarInfo) {
+      // Registries print the IANA ID; only the registrar knows its abuse contact
+      result.registrarInfo = { ...registrar.registrarInfo, ...result.registrarInfo };
+    }
+
+    for (const field of ['registrar', 'registrarInfo', 'registrant', 'adminContact', 'techContact', 'billingContact', 'dnssec']) {
+      if (!result[field] && registrar[field]) {
+        result[field] = registrar[field];
+        taken.push(field);
+      }
+    }
+
+    for (const field of ['nameservers', 'status']) {
+      if (result[field].length === 0 && registrar[field].length > 0) {
+        result[field] = registrar[field];
+        taken.push(field);
+      }
+    }
+
+    for (const [type, date] of Object.entries(registrar.dates)) {
+      if (!result.dates[type]) {
+        result.dates[type] = date;
+        taken.push(`dates.${type}`);
+      }
+    }
+
+    if (registrar.glue) {
+      result.glue = { ...registrar.glue, ...result.glue };
+    }
+
+    result.registrarFields = taken;
   }
 
   formatApiResponse(apiResponse, domain) {
     const { parsedData, rawData } = apiResponse;
+
+    const availability = classifyWhoisText(rawData, parsedData?.whoisServer);
+    if (availability) {
+      return this.buildUnregisteredResult(domain, rawData, availability);
+    }
     
     const result = {
       domain,
@@ -97,20 +329,27 @@ export class WhoisClient {
 
     // Format dates properly
     if (parsedData?.creationDate) {
-      result.dates.created = parsedData.creationDate;
+      result.dates.created = this.parseDate(parsedData.creationDate);
     }
     if (parsedData?.expirationDate) {
-      result.dates.expires = parsedData.expirationDate;
+      result.dates.expires = this.parseDate(parsedData.expirationDate);
     }
     if (parsedData?.lastModified) {
-      result.dates.updated = parsedData.lastModified;
+      result.dates.updated = this.parseDate(parsedData.lastModified);
     }
 
-    // Extract additional information from raw data
+    // Extract additional information from raw data, using the server's template when there is one
     if (rawData) {
+      if (this.parsers.has(result.whoisServer)) {
+        mergeMissingFields(result, this.parsers.parse(rawData, result.whoisServer));
+      }
       this.enrichFromRawData(result, rawData);
     }
 
+    for (const [type, value] of Object.entries(result.dates)) {
+      result.dates[type] = this.parseDate(value);
+    }
+
     return result;
   }
 
@@ -142,7 +381,7 @@ export class WhoisClient {
         for (const pattern of patterns) {
           const match = rawData.match(pattern);
           if (match) {
-            result.dates[type] = match[1].trim();
+            result.dates[type] = this.parseDate(match[1].trim());
             break;
           }
         }
@@ -175,21 +414,20 @@ export class WhoisClient {
       }
     }
 
-    // Extract registration status
-    const statusPatterns = [
-      /Registration status:\s*(.+)/i,
-      /Status:\s*(.+)/i,
-      /Domain status:\s*(.+)/i
-    ];
+    // Extract registration status if the parser found none
+    if (result.status.length === 0) {
+      const statusPatterns = [
+        /Registration status:\s*(.+)/i,
+        /Status:\s*(.+)/i,
+        /Domain status:\s*(.+)/i
+      ];
 
-    for (const pattern of statusPatterns) {
-      const match = rawData.match(pattern);
-      if (match) {
-        const statusText = match[1].trim();
-        if (!result.status.includes(statusText)) {
-          result.status.push(statusText);
+      for (const pattern of statusPatterns) {
+        const match = rawData.match(pattern);
+        if (match) {
+          result.status.push(match[1].trim());
+          break;
         }
-        break;
       }
     }
 
@@ -305,7 +543,7 @@ export class WhoisClient {
     return null;
   }
 
-  parseWhoisResponse(whoisText, domain) {
+  parseWhoisResponse(whoisText, domain, server, options = {}) {
     if (!whoisText) {
       return {
         domain,
@@ -315,123 +553,25 @@ export class WhoisClient {
       };
     }
 
+    const availability = classifyWhoisText(whoisText, server);
+    if (availability) {
+      return this.buildUnregisteredResult(domain, whoisText, availability);
+    }
+
     const result = {
       domain,
       found: true,
       source: 'whois',
       rawData: whoisText,
-      registrar: null,
-      registrant: null,
-      adminContact: null,
-      techContact: null,
-      billingContact: null,
-      nameservers: [],
-      status: [],
-      dates: {},
-      dnssec: null
+      // Registry-specific template, or the generic key/value parser for unknown servers
+      ...this.parsers.parse(whoisText, server, options)
     };
 
-    const lines = whoisText.split('\n');
-    let currentSection = null;
-
-    for (let line of lines) {
-      line = line.trim();
-      
-      if (!line || line.startsWith('%') || line.startsWith('>>')) {
-        continue;
-      }
-
-      // Parse key-value pairs
-      const colonIndex = line.indexOf(':');
-      if (colonIndex === -1) continue;
-
-      const key = line.substring(0, colonIndex).trim().toLowerCase();
-      const value = line.substring(colonIndex + 1).trim();
+    // Fill whatever the parser missed from free-form patterns
+    this.enrichFromRawData(result, whoisText);
 
-      if (!value) continue;
-
-      // Parse common fields
-      switch (key) {
-        case 'registrar':
-        case 'sponsoring registrar':
-          result.registrar = value;
-          break;
-
-        case 'registrant':
-        case 'registrant organization':
-        case 'registrant org':
-          if (!result.registrant) result.registrant = {};
-          result.registrant.organization = value;
-          break;
-
-        case 'registrant name':
-          if (!result.registrant) result.registrant = {};
-          result.registrant.name = value;
-          break;
-
-        case 'registrant email':
-          if (!result.registrant) result.registrant = {};
-          result.registrant.email = value;
-          break;
-
-        case 'admin email':
-        case 'administrative contact email':
-          if (!result.adminContact) result.adminContact = {};
-          result.adminContact.email = value;
-          break;
-
-        case 'tech email':
-        case 'technical contact email':
-          if (!result.techContact) result.techContact = {};
-          result.techContact.email = value;
-          break;
-
-        case 'name server':
-        case 'nameserver':
-        case 'nserver':
-          if (value && !result.nameservers.includes(value.toLowerCase())) {
-            result.nameservers.push(value.toLowerCase());
-          }
-          break;
-
-        case 'domain status':
-        case 'status':
-          result.status.push(value);
-          break;
-
-        case 'creation date':
-        case 'created':
-        case 'registered':
-          result.dates.created = this.parseDate(value);
-          break;
-
-        case 'expiry date':
-        case 'expires':
-        case 'expiration date':
-          result.dates.expires = this.parseDate(value);
-          break;
-
-        case 'updated date':
-        case 'last modified':
-        case 'changed':
-          result.dates.updated = this.parseDate(value);
-          break;
-
-        case 'dnssec':
-          result.dnssec = value.toLowerCase();
-          break;
-      }
-    }
-
-    // Clean up empty objects
-    if (result.registrant && Object.keys(result.registrant).length === 0) {
-      result.registrant = null;
-    }
-    if (result.adminContact && Object.keys(result.adminContact).length === 0) {
-      result.adminContact = null;
-    }
-    if (result.techContact && Object.keys(result.techContact).length === 0) {
-      result.techContact = null;
+    for (const [type, value] of Object.entries(result.dates)) {
+      result.dates[type] = this.parseDate(value);
     }
 
     return result;
@@ -440,29 +580,7 @@ export class WhoisClient {
   parseDate(dateString) {
     if (!dateString) return null;
 
-    // Try to parse various date formats
-    const formats = [
-      /(\d{4})-(\d{2})-(\d{2})/,  // YYYY-MM-DD
-      /(\d{2})-(\d{2})-(\d{4})/,  // MM-DD-YYYY or DD-MM-YYYY
-      /(\d{4})\.(\d{2})\.(\d{2})/, // YYYY.MM.DD
-      /(\d{2})\.(\d{2})\.(\d{4})/, // DD.MM.YYYY
-    ];
-
-    for (const format of formats) {
-      const match = dateString.match(format);
-      if (match) {
-        try {
-          // Try to create a valid date
-          const date = new Date(dateString);
-          if (!isNaN(date.getTime())) {
-            return date.toISOString();
-          }
-        } catch (e) {
-          continue;
-        }
-      }
-    }
-
-    return dateString; // Return original string if parsing fails
+    // ISO 8601 UTC where the format is recognised; the original string otherwise
+    return parseRegistryDate(dateString) || dateString;
   }
-}
\ No newline at end of file
+}
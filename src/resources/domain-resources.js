@@ -0,0 +1,197 @@
+import { createHash } from 'node:crypto';
+import { normalizeDomain } from '../lib/idn.js';
+import { ERROR_CODES, invalidInput, LookupError } from '../lib/errors.js';
+import { defaultWatchlistStore } from '../services/watchlist-store.js';
+
+const DEFAULT_POLL_INTERVAL_MS = 15 * 60 * 1000;
+
+const TEMPLATES = [
+  {
+    uriTemplate: 'domain://{name}',
+    name: 'Domain record',
+    description: 'The normalized registration record of a domain (same data as domain_lookup), from RDAP with WHOIS fallback',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'rdap://{name}/raw',
+    name: 'Raw RDAP response',
+    description: 'The registry\'s RDAP JSON for a domain, as received',
+    mimeType: 'application/rdap+json'
+  },
+  {
+    uriTemplate: 'whois://{name}/raw',
+    name: 'Raw WHOIS response',
+    description: 'The registry\'s WHOIS text for a domain, followed by the registrar\'s when the registry refers to one',
+    mimeType: 'text/plain'
+  },
+  {
+    uriTemplate: 'tld://{tld}',
+    name: 'TLD registry information',
+    description: 'The RDAP and WHOIS servers used for a TLD and whether a registry-specific WHOIS parser is available',
+    mimeType: 'application/json'
+  }
+];
+
+// Lookups exposed as MCP resources. Reads go through the shared lookup cache, so
+// attaching a resource after a tool call costs no extra registry queries.
+// Subscribed resources are re-read every pollIntervalMs and onUpdated(uri) is
+// called when their data changes.
+export class DomainResources {
+  constructor(domainLookupTool, options = {}) {
+    this.domainLookupTool = domainLookupTool;
+    this.rdapClient = domainLookupTool.rdapClient;
+    this.whoisClient = domainLookupTool.whoisClient;
+    this.registryDetector = domainLookupTool.rdapClient.registryDetector;
+    this.watchlist = options.watchlist || defaultWatchlistStore;
+    this.onUpdated = options.onUpdated || (() => {});
+    this.pollIntervalMs = options.pollIntervalMs || DEFAULT_POLL_INTERVAL_MS;
+    // uri -> hash of the data last seen
+    this.subscriptions = new Map();
+    this.timer = null;
+  }
+
+  listTemplates() {
+    return TEMPLATES;
+  }
+
+  // Concrete resources: the record of every domain on the watchlist
+  async list() {
+    const entries = await this.watchlist.list();
+    return entries.map((entry) => ({
+      uri: `domain://${entry.domain}`,
+      name: entry.domain,
+      description: entry.note || `Registration record of ${entry.domain}`,
+      mimeType: 'application/json'
+    }));
+  }
+
+  async read(uri) {
+    const { mimeType, text } = await this.load(uri);
+    return [{ uri, mimeType, text }];
+  }
+
+  async subscribe(uri) {
+    const { data } = await this.load(uri);
+    this.subscriptions.set(uri, this.hash(data));
+
+    if (!this.timer) {
+      this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+      this.timer.unref();
+    }
+  }
+
+  unsubscribe(uri) {
+    this.subscriptions.delete(uri);
+
+    if (this.subscriptions.size === 0 && this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  close() {
+    this.subscriptions.clear();
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async poll() {
+    for (const [uri, previous] of this.subscriptions) {
+      try {
+        // Stale cache entries are served once and refreshed in the background,
+        // so changes show up by the next poll without bypassing the cache
+        const hash = this.hash((await this.load(uri)).data);
+        if (!this.subscriptions.has(uri) || hash === previous) continue;
+
+        this.subscriptions.set(uri, hash);
+        await this.onUpdated(uri);
+      } catch (error) {
+        console.warn(`Failed to refresh subscribed resource ${uri}: ${error.message}`);
+      }
+    }
+  }
+
+  hash(data) {
+    return createHash('sha256').update(typeof data === 'string' ? data : JSON.stringify(data)).digest('hex');
+  }
+
+  parseUri(uri) {
+    const match = String(uri).match(/^(domain|rdap|whois|tld):\/\/([^/?#]+)(\/raw)?\/?$/i);
+    const scheme = match?.[1].toLowerCase();
+
+    if (!match || (scheme === 'rdap' || scheme === 'whois') !== Boolean(match[3])) {
+      throw invalidInput(`Unknown resource URI: ${uri} (expected one of ${TEMPLATES.map((t) => t.uriTemplate).join(', ')})`);
+    }
+
+    return { scheme, name: decodeURIComponent(match[2]) };
+  }
+
+  // data is the part of the resource that identifies a change: the record
+  // rather than the lookup timestamp or cache age
+  async load(uri) {
+    const { scheme, name } = this.parseUri(uri);
+
+    switch (scheme) {
+      case 'domain': {
+        // Reads and subscription polls would otherwise fill domain_diff history with snapshots
+        const result = await this.domainLookupTool.execute({
+          domain: name,
+          include_protocol_details: false,
+          store_snapshot: false
+        });
+        const text = JSON.stringify(result, null, 2);
+        return { mimeType: 'application/json', text, data: result.record || { found: result.found } };
+      }
+
+      case 'rdap': {
+        const result = await this.rdapClient.lookupDomain(name, { followReferral: true });
+        if (!result.found) {
+          throw new LookupError(ERROR_CODES.NOT_FOUND, `${name} not found in the registry's RDAP service`, {
+            protocol: 'rdap',
+            retryable: false
+          });
+        }
+        const text = JSON.stringify(result.rawData, null, 2);
+        return { mimeType: 'application/rdap+json', text, data: text };
+      }
+
+      case 'whois': {
+        const result = await this.whoisClient.lookupDomain(name);
+        if (!result.rawData) {
+          throw new LookupError(ERROR_CODES.NOT_FOUND, `No WHOIS response available for ${name}`, {
+            protocol: 'whois',
+            retryable: false
+          });
+        }
+
+        let text = result.rawData;
+        if (result.registrarRawData) {
+          text += `\n\n# Registrar WHOIS (${result.referralServer || 'referral'})\n\n${result.registrarRawData}`;
+        }
+        return { mimeType: 'text/plain', text, data: text };
+      }
+
+      case 'tld': {
+        const data = await this.describeTld(name);
+        return { mimeType: 'application/json', text: JSON.stringify(data, null, 2), data };
+      }
+    }
+  }
+
+  async describeTld(name) {
+    const tld = normalizeDomain(name.replace(/^\./, '')).ascii.toLowerCase();
+    const [rdapServer, whoisServer] = await Promise.all([
+      this.registryDetector.getRdapUrlForSuffix(tld),
+      this.registryDetector.getWhoisServerForSuffix(tld)
+    ]);
+
+    return {
+      tld,
+      rdap: { server: rdapServer },
+      whois: {
+        server: whoisServer,
+        parser: whoisServer && this.whoisClient.parsers.has(whoisServer) ? 'registry template' : 'generic'
+      }
+    };
+  }
+}
@@ -0,0 +1,114 @@
+import { domainToASCII } from 'node:url';
+import { readPublicSuffixData } from '../data/public-suffix-list.js';
+
+// Parsed once per process and shared by every detector
+let defaultList = null;
+
+export function getPublicSuffixList() {
+  if (!defaultList) {
+    defaultList = new PublicSuffixList(readPublicSuffixData());
+  }
+  return defaultList;
+}
+
+export class PublicSuffixList {
+  constructor(text) {
+    this.sections = {
+      icann: createSection(),
+      private: createSection()
+    };
+
+    this.load(text || '');
+  }
+
+  load(text) {
+    let section = null;
+
+    for (const rawLine of text.split('\n')) {
+      const line = rawLine.trim();
+
+      if (line.startsWith('//')) {
+        if (line.includes('===BEGIN ICANN DOMAINS===')) section = this.sections.icann;
+        else if (line.includes('===BEGIN PRIVATE DOMAINS===')) section = this.sections.private;
+        else if (line.includes('===END')) section = null;
+        continue;
+      }
+
+      // Rules end at the first whitespace; anything outside a section is ignored
+      const rule = line.split(/\s/)[0];
+      if (!rule || !section) continue;
+
+      if (rule.startsWith('!')) {
+        section.exceptions.add(toAscii(rule.slice(1)));
+      } else if (rule.startsWith('*.')) {
+        section.wildcards.add(toAscii(rule.slice(2)));
+      } else {
+        section.rules.add(toAscii(rule));
+      }
+    }
+  }
+
+  // The ICANN section decides which registry is responsible for a name;
+  // private suffixes (e.g. github.io) are reported separately
+  parseDomain(domain) {
+    const labels = domain.toLowerCase().replace(/\.$/, '').split('.');
+
+    // Unlisted TLDs fall back to the implicit "*" rule
+    const icannSuffix = this.findSuffix(labels, this.sections.icann) || labels[labels.length - 1];
+    const privateSuffix = this.findSuffix(labels, this.sections.private);
+    const publicSuffix = privateSuffix && privateSuffix.length > icannSuffix.length ? privateSuffix : icannSuffix;
+
+    return {
+      domain: labels.join('.'),
+      publicSuffix: icannSuffix,
+      registrableDomain: this.getRegistrable(labels, icannSuffix),
+      subdomain: this.getSubdomain(labels, icannSuffix),
+      privateSuffix: publicSuffix === icannSuffix ? null : privateSuffix,
+      privateRegistrableDomain: publicSuffix === icannSuffix ? null : this.getRegistrable(labels, privateSuffix)
+    };
+  }
+
+  findSuffix(labels, section) {
+    // Walk from the longest candidate down so the first hit is the longest matching rule
+    for (let i = 0; i < labels.length; i++) {
+      const candidate = labels.slice(i).join('.');
+
+      if (section.exceptions.has(candidate)) {
+        return labels.slice(i + 1).join('.');
+      }
+      if (section.rules.has(candidate)) {
+        return candidate;
+      }
+      if (i + 1 < labels.length && section.wildcards.has(labels.slice(i + 1).join('.'))) {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  getRegistrable(labels, suffix) {
+    const suffixLength = suffix.split('.').length;
+    if (labels.length <= suffixLength) return null;
+    return labels.slice(-(suffixLength + 1)).join('.');
+  }
+
+  getSubdomain(labels, suffix) {
+    const suffixLength = suffix.split('.').length;
+    if (labels.length <= suffixLength + 1) return null;
+    return labels.slice(0, labels.length - suffixLength - 1).join('.');
+  }
+}
+
+function createSection() {
+  return {
+    rules: new Set(),
+    wildcards: new Set(),
+    exceptions: new Set()
+  };
+}
+
+function toAscii(rule) {
+  // Rules for IDN TLDs are listed in Unicode; lookups always use A-labels
+  return /^[\x00-\x7f]*$/.test(rule) ? rule : domainToASCII(rule) || rule;
+}
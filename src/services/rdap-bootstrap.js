@@ -0,0 +1,244 @@
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { cidrContains, parseCidr, parseIp } from '../lib/ip.js';
+import { recordHost } from '../lib/sources.js';
+
+const BOOTSTRAP_BASE_URL = 'https://data.iana.org/rdap/';
+
+// IANA bootstrap registries (RFC 9224)
+export const BOOTSTRAP_REGISTRIES = {
+  dns: 'dns.json',
+  ipv4: 'ipv4.json',
+  ipv6: 'ipv6.json',
+  asn: 'asn.json',
+  'object-tags': 'object-tags.json'
+};
+
+export function getDefaultCacheDir() {
+  const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(base, 'domaindetails-mcp');
+}
+
+export class RdapBootstrap {
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || BOOTSTRAP_BASE_URL;
+    this.cacheDir = options.cacheDir === undefined ? getDefaultCacheDir() : options.cacheDir;
+    this.timeout = options.timeout || 10000;
+    this.userAgent = options.userAgent || 'domaindetails-mcp';
+    this.defaultTtl = options.defaultTtl || 24 * 60 * 60 * 1000; // 24 hours when IANA sends no cache headers
+    this.retryInterval = options.retryInterval || 5 * 60 * 1000; // wait 5 minutes before retrying a failed refresh
+
+    this.registries = new Map();
+    this.pending = new Map();
+  }
+
+  async getRegistry(name) {
+    if (!BOOTSTRAP_REGISTRIES[name]) {
+      throw new Error(`Unknown RDAP bootstrap registry: ${name}`);
+    }
+
+    let entry = this.registries.get(name);
+    if (!entry) {
+      entry = await this.readFromDisk(name);
+      if (entry) this.registries.set(name, entry);
+    }
+
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.data;
+    }
+
+    // Share one download between concurrent lookups
+    if (!this.pending.has(name)) {
+      this.pending.set(name, this.refresh(name, entry).finally(() => this.pending.delete(name)));
+    }
+
+    const refreshed = await this.pending.get(name);
+    return refreshed ? refreshed.data : null;
+  }
+
+  async refresh(name, entry) {
+    const url = new URL(BOOTSTRAP_REGISTRIES[name], this.baseUrl).toString();
+    const headers = {
+      'Accept': 'application/json',
+      'User-Agent': this.userAgent
+    };
+
+    if (entry?.etag) headers['If-None-Match'] = entry.etag;
+    if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+
+    try {
+      recordHost('iana', new URL(url).host);
+      const response = await fetch(url, {
+        method: 'GET',
+        headers,
+        signal: AbortSignal.timeout(this.timeout)
+      });
+
+      if (response.status === 304 && entry) {
+        const revalidated = { ...entry, fetchedAt: Date.now(), expiresAt: this.getExpiry(response) };
+        return this.store(name, revalidated);
+      }
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      if (!Array.isArray(data.services)) {
+        throw new Error('Response has no services array');
+      }
+
+      // A lagging mirror can serve an older file than the one we already hold
+      if (entry?.publication && data.publication && data.publication < entry.publication) {
+        return this.store(name, { ...entry, fetchedAt: Date.now(), expiresAt: this.getExpiry(response) });
+      }
+
+      return this.store(name, {
+        url,
+        fetchedAt: Date.now(),
+        expiresAt: this.getExpiry(response),
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        publication: data.publication || null,
+        data
+      });
+    } catch (error) {
+      console.warn(`Failed to fetch IANA RDAP bootstrap ${url}: ${error.message}`);
+
+      if (!entry) return null;
+
+      // Keep working from the stale copy (e.g. offline) and back off before retrying
+      const stale = { ...entry, expiresAt: Date.now() + this.retryInterval };
+      this.registries.set(name, stale);
+      return stale;
+    }
+  }
+
+  getExpiry(response) {
+    const cacheControl = response.headers.get('cache-control') || '';
+
+    if (/no-cache|no-store/i.test(cacheControl)) {
+      return Date.now();
+    }
+
+    const maxAge = cacheControl.match(/max-age=(\d+)/i);
+    if (maxAge) {
+      return Date.now() + Number(maxAge[1]) * 1000;
+    }
+
+    const expires = Date.parse(response.headers.get('expires') || '');
+    if (!isNaN(expires)) {
+      return expires;
+    }
+
+    return Date.now() + this.defaultTtl;
+  }
+
+  async store(name, entry) {
+    this.registries.set(name, entry);
+    await this.writeToDisk(name, entry);
+    return entry;
+  }
+
+  getCachePath(name) {
+    return path.join(this.cacheDir, 'rdap-bootstrap', BOOTSTRAP_REGISTRIES[name]);
+  }
+
+  async readFromDisk(name) {
+    if (!this.cacheDir) return null;
+
+    try {
+      const entry = JSON.parse(await readFile(this.getCachePath(name), 'utf-8'));
+      return Array.isArray(entry?.data?.services) ? entry : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async writeToDisk(name, entry) {
+    if (!this.cacheDir) return;
+
+    try {
+      await mkdir(path.dirname(this.getCachePath(name)), { recursive: true });
+      await writeFile(this.getCachePath(name), JSON.stringify(entry));
+    } catch (error) {
+      console.warn(`Failed to persist RDAP bootstrap ${name}: ${error.message}`);
+    }
+  }
+
+  async findDnsServers(tld) {
+    const data = await this.getRegistry('dns');
+    if (!data || !tld) return [];
+
+    // Try the longest suffix first so "co.uk" can match a dedicated entry before "uk"
+    const labels = tld.toLowerCase().split('.');
+    for (let i = 0; i < labels.length; i++) {
+      const suffix = labels.slice(i).join('.');
+      const service = data.services.find(([entries]) => entries.includes(suffix));
+      if (service) return this.sortUrls(service[1]);
+    }
+
+    return [];
+  }
+
+  async findIpServers(address) {
+    const ip = parseIp(address.split('/')[0]);
+    if (!ip) return [];
+
+    const data = await this.getRegistry(ip.version === 4 ? 'ipv4' : 'ipv6');
+    if (!data) return [];
+
+    let best = null;
+    for (const [entries, urls] of data.services) {
+      for (const entry of entries) {
+        const block = parseCidr(entry);
+        if (block && cidrContains(block, ip) && (!best || block.prefix > best.prefix)) {
+          best = { prefix: block.prefix, urls };
+        }
+      }
+    }
+
+    return best ? this.sortUrls(best.urls) : [];
+  }
+
+  async findAsnServers(asn) {
+    const number = Number(String(asn).replace(/^as/i, ''));
+    if (!Number.isInteger(number) || number < 0) return [];
+
+    const data = await this.getRegistry('asn');
+    if (!data) return [];
+
+    for (const [ranges, urls] of data.services) {
+      for (const range of ranges) {
+        const [start, end = start] = range.split('-').map(Number);
+        if (number >= start && number <= end) {
+          return this.sortUrls(urls);
+        }
+      }
+    }
+
+    return [];
+  }
+
+  async findObjectTagServers(tag) {
+    const data = await this.getRegistry('object-tags');
+    if (!data || !tag) return [];
+
+    // Object tag services carry a leading contact array: [contacts, tags, urls]
+    const upperTag = tag.toUpperCase();
+    const service = data.services.find((entry) => entry.length >= 3 && entry[1].some((t) => t.toUpperCase() === upperTag));
+
+    return service ? this.sortUrls(service[2]) : [];
+  }
+
+  sortUrls(urls) {
+    // Prefer HTTPS endpoints and make sure every base URL ends with a slash
+    return [...urls]
+      .sort((a, b) => Number(b.startsWith('https:')) - Number(a.startsWith('https:')))
+      .map((url) => (url.endsWith('/') ? url : `${url}/`));
+  }
+}
+
+// Shared by every RegistryDetector so the bootstrap files are only loaded once per process
+export const defaultBootstrap = new RdapBootstrap();
@@ -1,6 +1,25 @@
+import { Port43Client } from '../lib/port43.js';
+import { defaultScheduler } from '../lib/scheduler.js';
+import { invalidInput } from '../lib/errors.js';
+import { recordHost } from '../lib/sources.js';
+import { defaultBootstrap } from './rdap-bootstrap.js';
+import { getPublicSuffixList } from './public-suffix.js';
+
+const IANA_WHOIS_SERVER = 'whois.iana.org';
+
+// Discovered servers are shared by every detector instance in the process
+const whoisServerCache = new Map();
+const pendingDiscoveries = new Map();
+
 export class RegistryDetector {
-  constructor() {
-    this.rdapBootstrap = new Map([
+  constructor(options = {}) {
+    this.bootstrap = options.bootstrap || defaultBootstrap;
+
+    // Explicitly configured RDAP servers that take precedence over IANA bootstrap data
+    this.rdapOverrides = new Map(Object.entries(options.rdapOverrides || {}));
+
+    // Offline fallback used only when IANA bootstrap data is unavailable or lacks the TLD
+    this.rdapFallback = new Map([
       // Generic TLDs
       ['com', 'https://rdap.verisign.com/com/v1/'],
       ['net', 'https://rdap.verisign.com/net/v1/'],
@@ -55,8 +74,8 @@ export class RegistryDetector {
       ['online', 'https://rdap.centralnic.com/online/'],
       ['tech', 'https://rdap.nic.tech/'],
       ['store', 'https://rdap.nic.store/'],
-      ['app', 'https://rdap.charleston.com/'],
-      ['dev', 'https://rdap.charleston.com/'],
+      ['app', 'https://pubapi.registry.google/rdap/'],
+      ['dev', 'https://pubapi.registry.google/rdap/'],
       ['io', 'https://rdap.nic.io/'],
       ['ai', 'https://rdap.nic.ai/'],
       ['co', 'https://rdap.nic.co/'],
@@ -64,79 +83,10 @@ export class RegistryDetector {
       ['tv', 'https://rdap.nic.tv/'],
       ['cc', 'https://rdap.nic.cc/'],
     ]);
-    
-    this.ianaTlds = null;
-    this.lastBootstrapUpdate = null;
-  }
 
-  async getTLD(domain) {
-    if (!domain || typeof domain !== 'string') {
-      throw new Error('Invalid domain provided');
-    }
-    
-    const parts = domain.toLowerCase().split('.');
-    if (parts.length < 2) {
-      throw new Error('Invalid domain format');
-    }
-    
-    // Handle second-level domains (like .co.uk, .com.au, etc.)
-    const commonSecondLevel = new Set([
-      'co.uk', 'org.uk', 'me.uk', 'ltd.uk', 'plc.uk',
-      'com.au', 'net.au', 'org.au', 'edu.au',
-      'co.nz', 'net.nz', 'org.nz',
-      'co.za', 'net.za', 'org.za',
-      'co.in', 'net.in', 'org.in',
-      'com.br', 'net.br', 'org.br',
-      'co.jp', 'or.jp', 'ne.jp'
-    ]);
-    
-    if (parts.length >= 3) {
-      const secondLevel = parts.slice(-2).join('.');
-      if (commonSecondLevel.has(secondLevel)) {
-        return secondLevel;
-      }
-    }
-    
-    return parts[parts.length - 1];
-  }
 
-  async getRdapUrl(domain) {
-    const tld = await this.getTLD(domain);
-    
-    // Check our static bootstrap map first
-    if (this.rdapBootstrap.has(tld)) {
-      return this.rdapBootstrap.get(tld);
-    }
-    
-    // Try to fetch from IANA bootstrap service as fallback
-    try {
-      const bootstrapUrl = `https://data.iana.org/rdap/dns.json`;
-      const response = await fetch(bootstrapUrl);
-      
-      if (response.ok) {
-        const data = await response.json();
-        const services = data.services || [];
-        
-        for (const service of services) {
-          const [tlds, urls] = service;
-          if (tlds.includes(tld) && urls.length > 0) {
-            // Cache the result
-            this.rdapBootstrap.set(tld, urls[0]);
-            return urls[0];
-          }
-        }
-      }
-    } catch (error) {
-      console.warn(`Failed to fetch IANA bootstrap data: ${error.message}`);
-    }
-    
-    return null;
-  }
-
-  async getWhoisServer(domain) {
-    const tld = await this.getTLD(domain);
-    
-    const whoisServers = new Map([
+    // Known WHOIS servers; any other TLD is discovered through IANA
+    this.whoisServerOverrides = new Map([
       ['com', 'whois.verisign-grs.com'],
       ['net', 'whois.verisign-grs.com'],
       ['org', 'whois.pir.org'],
@@ -192,8 +142,132 @@ export class RegistryDetector {
       ['me', 'whois.nic.me'],
       ['tv', 'whois.nic.tv'],
       ['cc', 'whois.nic.cc'],
+      ...Object.entries(options.whoisOverrides || {}),
     ]);
+
+    this.port43Client = new Port43Client();
+    this.whoisDiscoveryTtl = 24 * 60 * 60 * 1000; // 24 hours
+    this.whoisDiscoveryNegativeTtl = 60 * 60 * 1000; // 1 hour for TLDs without a WHOIS server
+  }
+
+  async getTLD(domain) {
+    const { publicSuffix } = await this.parseDomain(domain);
+    return publicSuffix;
+  }
+
+  async parseDomain(domain) {
+    if (!domain || typeof domain !== 'string') {
+      throw invalidInput('Invalid domain provided');
+    }
     
-    return whoisServers.get(tld) || 'whois.iana.org';
+    const parts = domain.toLowerCase().split('.');
+    if (parts.length < 2) {
+      throw invalidInput(`Invalid domain format: ${domain}`);
+    }
+
+    const info = getPublicSuffixList().parseDomain(domain);
+    if (!info.registrableDomain) {
+      throw invalidInput(`${domain} is a public suffix, not a registrable domain`);
+    }
+
+    return info;
+  }
+
+  async getRdapUrl(domain) {
+    return this.getRdapUrlForSuffix(await this.getTLD(domain));
+  }
+
+  async getRdapUrlForSuffix(suffix) {
+    const tld = suffix.toLowerCase().replace(/^\./, '');
+
+    if (this.rdapOverrides.has(tld)) {
+      return this.rdapOverrides.get(tld);
+    }
+
+    const servers = await this.bootstrap.findDnsServers(tld);
+    if (servers.length > 0) {
+      return servers[0];
+    }
+
+    return this.rdapFallback.get(tld) || this.rdapFallback.get(tld.split('.').pop()) || null;
+  }
+
+  async getWhoisServer(domain) {
+    return this.getWhoisServerForSuffix(await this.getTLD(domain));
+  }
+
+  async getWhoisServerForSuffix(suffix) {
+    const tld = suffix.toLowerCase().replace(/^\./, '');
+
+    // Explicitly configured servers win over anything discovered
+    if (this.whoisServerOverrides.has(tld)) {
+      return this.whoisServerOverrides.get(tld);
+    }
+
+    // IANA only knows about top-level domains, so multi-label suffixes use their last label
+    const topLevel = tld.split('.').pop();
+    if (this.whoisServerOverrides.has(topLevel)) {
+      return this.whoisServerOverrides.get(topLevel);
+    }
+
+    return this.discoverWhoisServer(topLevel);
+  }
+
+  async discoverWhoisServer(tld) {
+    const cached = whoisServerCache.get(tld);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.server;
+    }
+
+    // Share a single in-flight IANA query between concurrent lookups of the same TLD
+    if (pendingDiscoveries.has(tld)) {
+      return pendingDiscoveries.get(tld);
+    }
+
+    const discovery = this.queryIanaWhois(tld)
+      .then((server) => {
+        whoisServerCache.set(tld, {
+          server,
+          expiresAt: Date.now() + (server ? this.whoisDiscoveryTtl : this.whoisDiscoveryNegativeTtl)
+        });
+        return server;
+      })
+      .catch((error) => {
+        console.warn(`Failed to discover WHOIS server for .${tld} via ${IANA_WHOIS_SERVER}: ${error.message}`);
+        // Serve an expired entry rather than nothing while IANA is unreachable
+        return cached ? cached.server : null;
+      })
+      .finally(() => pendingDiscoveries.delete(tld));
+
+    pendingDiscoveries.set(tld, discovery);
+    return discovery;
+  }
+
+  async queryIanaWhois(tld) {
+    const { value } = await defaultScheduler.run(`whois:${IANA_WHOIS_SERVER}`, () => {
+      recordHost('iana', IANA_WHOIS_SERVER);
+      return this.port43Client.query(IANA_WHOIS_SERVER, tld);
+    });
+    const { text } = value;
+    return this.parseIanaReferral(text);
+  }
+
+  parseIanaReferral(text) {
+    if (!text) return null;
+
+    // "refer:" is what IANA uses for the TLD's WHOIS server; "whois:" appears in the registry block
+    const patterns = [
+      /^\s*refer:\s*(\S+)/im,
+      /^\s*whois:\s*(\S+)/im
+    ];
+
+    for (const pattern of patterns) {
+      const match = text.match(pattern);
+      if (match) {
+        return match[1].toLowerCase();
+      }
+    }
+
+    return null;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,74 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { getDefaultDataDir } from './watchlist-store.js';
+
+const MAX_SNAPSHOTS = 100;
+
+// Everything but `sources`, which only says where the data came from
+function recordKey(record) {
+  const { sources, ...data } = record;
+  return JSON.stringify(data);
+}
+
+// Normalized domain records over time, one JSON file per domain. A lookup that
+// returns the same record as the latest snapshot only moves its last_seen_at,
+// so the history holds one entry per distinct state.
+export class SnapshotStore {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(getDefaultDataDir(), 'snapshots');
+    this.enabled = options.enabled ?? false;
+    this.maxSnapshots = options.maxSnapshots || MAX_SNAPSHOTS;
+    this.queue = Promise.resolve();
+  }
+
+  filePath(domain) {
+    return path.join(this.dir, `${domain.toLowerCase()}.json`);
+  }
+
+  // Oldest first
+  async list(domain) {
+    try {
+      const data = JSON.parse(await readFile(this.filePath(domain), 'utf-8'));
+      return data.snapshots || [];
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new Error(`Failed to read snapshots for ${domain}: ${error.message}`);
+    }
+  }
+
+  add(record, { method, takenAt = new Date().toISOString() } = {}) {
+    const run = this.queue.then(async () => {
+      const snapshots = await this.list(record.domain);
+      const latest = snapshots[snapshots.length - 1];
+
+      // A cached record fetched before the latest snapshot was last seen is
+      // older news; appending it would rewrite history out of order
+      if (latest && Date.parse(takenAt) < Date.parse(latest.last_seen_at)) {
+        return latest;
+      }
+
+      if (latest && recordKey(latest.record) === recordKey(record)) {
+        latest.last_seen_at = takenAt;
+      } else {
+        snapshots.push({ taken_at: takenAt, last_seen_at: takenAt, method, record });
+      }
+
+      await this.save(record.domain, snapshots.slice(-this.maxSnapshots));
+      return snapshots[snapshots.length - 1];
+    });
+
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async save(domain, snapshots) {
+    const file = this.filePath(domain);
+    const tempPath = `${file}.${process.pid}.tmp`;
+
+    await mkdir(this.dir, { recursive: true });
+    await writeFile(tempPath, JSON.stringify({ version: 1, domain, snapshots }, null, 2));
+    await rename(tempPath, file);
+  }
+}
+
+export const defaultSnapshotStore = new SnapshotStore();
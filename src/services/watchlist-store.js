@@ -0,0 +1,113 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { invalidInput } from '../lib/errors.js';
+
+// Watched domains are user data rather than cache, so they live under XDG_DATA_HOME
+export function getDefaultDataDir() {
+  const base = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+  return path.join(base, 'domaindetails-mcp');
+}
+
+export class WatchlistStore {
+  constructor(options = {}) {
+    this.path = options.path || path.join(getDefaultDataDir(), 'watchlist.json');
+    this.domains = null;
+    // Serializes read-modify-write cycles so concurrent tool calls don't lose updates
+    this.queue = Promise.resolve();
+  }
+
+  async load() {
+    if (this.domains) return this.domains;
+
+    try {
+      const data = JSON.parse(await readFile(this.path, 'utf-8'));
+      this.domains = new Map(Object.entries(data.domains || {}));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read watchlist ${this.path}: ${error.message}`);
+      }
+      this.domains = new Map();
+    }
+
+    return this.domains;
+  }
+
+  async save() {
+    const tempPath = `${this.path}.${process.pid}.tmp`;
+    const data = { version: 1, domains: Object.fromEntries(this.domains) };
+
+    await mkdir(path.dirname(this.path), { recursive: true });
+    await writeFile(tempPath, JSON.stringify(data, null, 2));
+    await rename(tempPath, this.path);
+  }
+
+  // Run fn(domains) with the loaded watchlist and persist whatever it changed
+  update(fn) {
+    const run = this.queue.then(async () => {
+      const domains = await this.load();
+      const result = await fn(domains);
+      await this.save();
+      return result;
+    });
+
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async list() {
+    await this.queue;
+    return [...(await this.load()).values()];
+  }
+
+  add(entries, options = {}) {
+    return this.update((domains) => {
+      const newCount = new Set(entries.filter((entry) => !domains.has(entry.domain)).map((entry) => entry.domain)).size;
+      if (options.limit && domains.size + newCount > options.limit) {
+        throw invalidInput(`Watchlist is limited to ${options.limit} domains (${domains.size} already watched)`);
+      }
+
+      return entries.map((entry) => this.addEntry(domains, entry));
+    });
+  }
+
+  addEntry(domains, entry) {
+    const existing = domains.get(entry.domain);
+    if (existing) {
+      // Re-adding only updates the note
+      if (entry.note !== undefined) existing.note = entry.note;
+      return { ...existing, added: false };
+    }
+
+    const created = { domain: entry.domain, note: entry.note ?? null, added_at: new Date().toISOString() };
+    domains.set(entry.domain, created);
+    return { ...created, added: true };
+  }
+
+  remove(names) {
+    return this.update((domains) => names.map((domain) => ({ domain, removed: domains.delete(domain) })));
+  }
+
+  // Store what the latest report saw, keeping the previous registrar when it changed
+  recordChecks(checks) {
+    return this.update((domains) => {
+      for (const check of checks) {
+        const entry = domains.get(check.domain);
+        if (!entry) continue; // removed while the report was running
+
+        if (check.registrar_changed) {
+          entry.previous_registrar = entry.registrar;
+          entry.registrar_changed_at = check.checked_at;
+        }
+
+        entry.last_checked = check.checked_at;
+        entry.registered = check.registered;
+        entry.registrar = check.registrar;
+        entry.expires = check.expires;
+        entry.status = check.status;
+      }
+    });
+  }
+}
+
+export const defaultWatchlistStore = new WatchlistStore();
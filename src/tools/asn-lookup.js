@@ -0,0 +1,89 @@
+import { invalidInput } from '../lib/errors.js';
+import { formatEntities, formatEvents, formatRemarks, rirFromServer } from '../lib/rdap-objects.js';
+
+export class AsnLookupTool {
+  constructor(domainLookupTool) {
+    this.rdapClient = domainLookupTool.rdapClient;
+  }
+
+  getToolDefinition() {
+    return {
+      name: 'asn_lookup',
+      description: 'Look up an autonomous system number using RDAP at the responsible Regional Internet Registry. Returns the AS block, name, country, and the owner and abuse contacts.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          asn: {
+            type: 'string',
+            description: 'The AS number, with or without the "AS" prefix (e.g., AS15169 or 15169)'
+          },
+          include_raw: {
+            type: 'boolean',
+            description: 'If true, include the raw RDAP response',
+            default: false
+          },
+          cache: {
+            type: 'string',
+            enum: ['prefer', 'bypass', 'only'],
+            description: 'Cache behaviour, as for domain_lookup',
+            default: 'prefer'
+          }
+        },
+        required: ['asn'],
+        additionalProperties: false
+      }
+    };
+  }
+
+  async execute(params) {
+    const { asn, include_raw = false, cache = 'prefer' } = params;
+
+    if (asn === undefined || asn === null || asn === '') {
+      throw invalidInput('ASN parameter is required');
+    }
+
+    const result = await this.rdapClient.lookupAsn(asn, { cache });
+    return this.formatResult(result, include_raw);
+  }
+
+  formatResult(result, includeRaw) {
+    const formatted = {
+      query: `AS${result.query}`,
+      found: result.found,
+      rir: rirFromServer(result.server),
+      server: result.server,
+      timestamp: new Date().toISOString()
+    };
+
+    if (result.cache) {
+      formatted.cache = { status: result.cache.status, age_seconds: result.cache.ageSeconds };
+    }
+    if (result.requests && result.requests.length > 0) {
+      formatted.requests = result.requests;
+    }
+
+    if (!result.found) {
+      formatted.message = result.message;
+      return formatted;
+    }
+
+    formatted.autnum = {
+      handle: result.handle,
+      name: result.name || null,
+      type: result.type || null,
+      range: { start: result.startAutnum, end: result.endAutnum },
+      country: result.country || null,
+      status: result.status
+    };
+
+    Object.assign(formatted, formatEntities(result.entities));
+    formatted.dates = formatEvents(result.events);
+    formatted.remarks = formatRemarks(result.remarks);
+
+    if (includeRaw) {
+      formatted.raw_data = result.rawData;
+    }
+
+    return formatted;
+  }
+}
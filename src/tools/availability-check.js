@@ -0,0 +1,261 @@
+import { DnsClient } from '../lib/dns.js';
+import { runWithConcurrency } from '../lib/concurrency.js';
+import { normalizeDomain } from '../lib/idn.js';
+import { ERROR_CODES, invalidInput, toLookupError } from '../lib/errors.js';
+import { resolveSources, SOURCES, trackHosts } from '../lib/sources.js';
+
+const MAX_DOMAINS = 100;
+
+// RDAP statuses that mean the name is registered but on its way to being released
+const DELETION_STATUSES = ['pending delete', 'redemption period', 'pending restore'];
+
+export class AvailabilityCheckTool {
+  constructor(domainLookupTool) {
+    this.domainLookupTool = domainLookupTool;
+    this.rdapClient = domainLookupTool.rdapClient;
+    this.whoisClient = domainLookupTool.whoisClient;
+    this.registryDetector = domainLookupTool.rdapClient.registryDetector;
+    this.dnsClient = new DnsClient();
+  }
+
+  getToolDefinition() {
+    return {
+      name: 'check_availability',
+      description: 'Check whether domains are available to register. Combines RDAP status, registry-specific WHOIS "not found" and reserved/premium answers, and DNS delegation to classify each domain as available, registered, reserved or unknown, with a confidence level and the evidence used.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          domains: {
+            type: 'array',
+            items: { type: 'string' },
+            minItems: 1,
+            maxItems: MAX_DOMAINS,
+            description: 'The domain names to check (e.g., ["example.com", "example.io"])'
+          },
+          use_whois: {
+            type: 'boolean',
+            description: 'If true, consult WHOIS when RDAP does not show the domain as registered (detects reserved and premium names)',
+            default: true
+          },
+          use_dns: {
+            type: 'boolean',
+            description: 'If true, check whether the domain is delegated in DNS (NS records). This sends the domain to the resolver whatever the sources policy; set false to keep it to the allowed sources',
+            default: true
+          },
+          resolver: {
+            type: 'string',
+            description: 'Optional resolver address for the DNS check (e.g., 1.1.1.1)'
+          },
+          sources: {
+            type: 'array',
+            items: { type: 'string', enum: SOURCES },
+            minItems: 1,
+            description: 'Where the domains may be sent for the RDAP and WHOIS checks, as for domain_lookup (e.g., ["rdap", "whois-direct"] to keep unannounced names away from third parties)'
+          }
+        },
+        required: ['domains'],
+        additionalProperties: false
+      }
+    };
+  }
+
+  async execute(params) {
+    const { domains, use_whois = true, use_dns = true, resolver } = params;
+
+    if (!Array.isArray(domains) || domains.length === 0) {
+      throw invalidInput('Domains parameter must be a non-empty array');
+    }
+    if (domains.length > MAX_DOMAINS) {
+      throw invalidInput(`Too many domains: ${domains.length} (maximum ${MAX_DOMAINS})`);
+    }
+
+    const sources = resolveSources(params.sources, this.domainLookupTool.sources);
+    // The DNS check is governed by use_dns, not the sources policy, but is reported with it
+    const policy = use_dns ? [...sources, 'dns'] : sources;
+
+    const settled = await runWithConcurrency(
+      domains,
+      async (domain) => {
+        const options = { useWhois: use_whois, useDns: use_dns, resolver, sources };
+        const check = await trackHosts(() => this.checkDomain(domain, options));
+        return { ...check.value, source_policy: policy, hosts_contacted: check.hosts };
+      },
+      { concurrency: 5 }
+    );
+
+    const summary = { total: domains.length, available: 0, registered: 0, reserved: 0, unknown: 0 };
+    const results = settled.map((outcome, index) => {
+      const result = outcome.status === 'fulfilled'
+        ? outcome.value
+        : {
+          domain: domains[index],
+          availability: 'unknown',
+          confidence: 'none',
+          error: this.formatError(outcome.reason, policy),
+          evidence: []
+        };
+
+      summary[result.availability]++;
+      return result;
+    });
+
+    return {
+      timestamp: new Date().toISOString(),
+      summary,
+      results
+    };
+  }
+
+  formatError(error, sources) {
+    const lookupError = toLookupError(error);
+    if (lookupError.code !== ERROR_CODES.INVALID_INPUT) {
+      lookupError.details = { ...lookupError.details, source_policy: sources, hosts_contacted: error.hostsContacted };
+    }
+    return lookupError.toJSON();
+  }
+
+  async checkDomain(domain, options) {
+    const name = normalizeDomain(domain);
+    const { registrableDomain } = await this.registryDetector.parseDomain(name.ascii);
+    // Only the protocols the sources policy allows are consulted
+    const methods = this.domainLookupTool.methodsFor(options.sources, false);
+
+    const [rdapEvidence, dnsEvidence] = await Promise.all([
+      methods.includes('rdap') ? this.checkRdap(registrableDomain) : null,
+      options.useDns ? this.checkDns(registrableDomain, options.resolver) : null
+    ]);
+
+    const evidence = [rdapEvidence, dnsEvidence].filter(Boolean);
+
+    // WHOIS is only needed when RDAP cannot already prove the name is taken
+    if (options.useWhois && methods.includes('whois') && rdapEvidence?.signal !== 'registered') {
+      evidence.push(await this.checkWhois(registrableDomain, options.sources));
+    }
+
+    return {
+      domain: name.input,
+      registrable_domain: registrableDomain,
+      ...this.classify(evidence)
+    };
+  }
+
+  async checkRdap(domain) {
+    try {
+      const result = await this.rdapClient.lookupDomain(domain);
+
+      if (!result.found) {
+        return { source: 'rdap', signal: 'available', detail: 'Registry RDAP server returned 404 Not Found' };
+      }
+
+      const status = result.status || [];
+      const deletion = status.filter((value) => DELETION_STATUSES.includes(value.toLowerCase()));
+
+      return {
+        source: 'rdap',
+        signal: 'registered',
+        detail: deletion.length > 0
+          ? `Registered, but in deletion lifecycle (${deletion.join(', ')})`
+          : 'Registry RDAP server returned a domain object',
+        status
+      };
+    } catch (error) {
+      return { source: 'rdap', signal: 'error', detail: error.message, error: toLookupError(error, { protocol: 'rdap' }).toJSON() };
+    }
+  }
+
+  async checkWhois(domain, sources) {
+    try {
+      const result = await this.whoisClient.lookupDomain(domain, { sources });
+
+      if (result.found) {
+        return { source: 'whois', signal: 'registered', detail: `WHOIS record returned by ${result.whoisServer || 'registry'}` };
+      }
+
+      const signal = result.status === 'reserved' || result.status === 'premium' ? result.status : 'available';
+      return {
+        source: 'whois',
+        signal,
+        detail: result.message || 'No WHOIS record found',
+        matched_pattern: result.availability?.pattern
+      };
+    } catch (error) {
+      return { source: 'whois', signal: 'error', detail: error.message, error: toLookupError(error, { protocol: 'whois' }).toJSON() };
+    }
+  }
+
+  async checkDns(domain, resolver) {
+    try {
+      const result = await this.dnsClient.lookup(domain, ['NS'], { resolver });
+
+      if (result.errors?.NS) {
+        return { source: 'dns', signal: 'error', detail: result.errors.NS };
+      }
+      if (result.records.NS.length > 0) {
+        return {
+          source: 'dns',
+          signal: 'registered',
+          detail: 'Domain is delegated (NS records present)',
+          nameservers: result.records.NS.map((record) => record.value)
+        };
+      }
+      if (result.nxdomain) {
+        return { source: 'dns', signal: 'available', detail: 'NXDOMAIN (no delegation in the parent zone)' };
+      }
+
+      return { source: 'dns', signal: 'inconclusive', detail: 'Name exists but has no NS records' };
+    } catch (error) {
+      return { source: 'dns', signal: 'error', detail: error.message };
+    }
+  }
+
+  classify(evidence) {
+    const by = (source) => evidence.find((item) => item.source === source)?.signal;
+    const rdap = by('rdap');
+    const whois = by('whois');
+    const dns = by('dns');
+    const sourcesWith = (signal) => evidence.filter((item) => item.signal === signal).map((item) => item.source);
+
+    const decide = (availability, confidence, decidedBy, note) => ({
+      availability,
+      confidence,
+      decided_by: decidedBy,
+      ...(note ? { note } : {}),
+      evidence
+    });
+
+    if (whois === 'reserved' || whois === 'premium') {
+      return decide('reserved', rdap === 'registered' ? 'medium' : 'high', ['whois'],
+        whois === 'premium' ? 'Registry offers this name at premium pricing' : 'Registry has reserved this name');
+    }
+
+    const registered = sourcesWith('registered');
+    const available = sourcesWith('available');
+    const registryRegistered = registered.filter((source) => source !== 'dns');
+    const registryAvailable = available.filter((source) => source !== 'dns');
+
+    if (registryRegistered.length > 0) {
+      const confidence = rdap === 'registered' || registered.length > 1 ? 'high' : 'medium';
+      return decide('registered', confidence, registered);
+    }
+
+    if (registryAvailable.length > 0) {
+      if (dns === 'registered') {
+        return decide('registered', 'low', ['dns'],
+          'Registry reports no record but the name is delegated in DNS; registry data may be incomplete');
+      }
+
+      const confidence = registryAvailable.length > 1 || dns === 'available' ? 'high' : 'medium';
+      return decide('available', confidence, available);
+    }
+
+    // Neither registry source answered; fall back to DNS alone
+    if (dns === 'registered') {
+      return decide('registered', 'medium', ['dns'], 'Registry lookups failed; decided from DNS delegation only');
+    }
+    if (dns === 'available') {
+      return decide('available', 'low', ['dns'], 'Registry lookups failed; undelegated names may still be registered');
+    }
+
+    return decide('unknown', 'none', [], 'No source returned a usable answer');
+  }
+}
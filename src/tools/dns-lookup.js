@@ -0,0 +1,76 @@
+import { DnsClient, DNS_RECORD_TYPES } from '../lib/dns.js';
+import { invalidInput } from '../lib/errors.js';
+
+const DEFAULT_RECORD_TYPES = ['A', 'AAAA', 'MX', 'NS', 'TXT', 'SOA', 'CAA'];
+
+export class DnsLookupTool {
+  constructor() {
+    this.dnsClient = new DnsClient();
+  }
+
+  getToolDefinition() {
+    return {
+      name: 'dns_lookup',
+      description: 'Query DNS records for a domain or hostname. Supports A, AAAA, MX, NS, TXT, SOA, CAA, CNAME, SRV, DS and DNSKEY records, optionally against a specific resolver.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          domain: {
+            type: 'string',
+            description: 'The domain or hostname to query (e.g., example.com or _sip._tcp.example.com)'
+          },
+          record_types: {
+            type: 'array',
+            items: {
+              type: 'string',
+              enum: DNS_RECORD_TYPES
+            },
+            description: `Record types to query (default: ${DEFAULT_RECORD_TYPES.join(', ')})`
+          },
+          resolver: {
+            type: 'string',
+            description: 'Optional resolver address to use instead of the system resolver (e.g., 1.1.1.1, 127.0.0.1:5353 or [2606:4700::1111]:53)'
+          }
+        },
+        required: ['domain'],
+        additionalProperties: false
+      }
+    };
+  }
+
+  async execute(params) {
+    const { domain, record_types = DEFAULT_RECORD_TYPES, resolver } = params;
+
+    if (!domain) {
+      throw invalidInput('Domain parameter is required');
+    }
+
+    const result = await this.dnsClient.lookup(domain, record_types, { resolver });
+
+    return this.formatResult(result);
+  }
+
+  formatResult(result) {
+    const formatted = {
+      domain: result.domain,
+      timestamp: new Date().toISOString(),
+      resolvers: result.resolvers,
+      nxdomain: result.nxdomain,
+      records: result.records
+    };
+
+    if (result.unicodeName !== result.domain) {
+      formatted.unicode_name = result.unicodeName;
+    }
+
+    if (result.idnWarnings) {
+      formatted.idn_warnings = result.idnWarnings;
+    }
+
+    if (result.errors) {
+      formatted.errors = result.errors;
+    }
+
+    return formatted;
+  }
+}
@@ -0,0 +1,125 @@
+import { normalizeDomain } from '../lib/idn.js';
+import { invalidInput, LookupError, ERROR_CODES } from '../lib/errors.js';
+import { parseRegistryDate } from '../lib/dates.js';
+import { diffRecords } from '../lib/record-diff.js';
+
+function describeSnapshot(snapshot) {
+  return { taken_at: snapshot.taken_at, last_seen_at: snapshot.last_seen_at, method: snapshot.method };
+}
+
+export class DomainDiffTool {
+  constructor(domainLookupTool) {
+    this.domainLookupTool = domainLookupTool;
+    this.registryDetector = domainLookupTool.rdapClient.registryDetector;
+    this.snapshotStore = domainLookupTool.snapshotStore;
+  }
+
+  getToolDefinition() {
+    return {
+      name: 'domain_diff',
+      description: 'Compare a domain\'s current registration data with an earlier snapshot and report added or removed nameservers, status changes, registrar transfers, expiry renewals and contact changes. Snapshots are kept by domain_lookup (when snapshots are enabled) and by this tool.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          domain: {
+            type: 'string',
+            description: 'The domain name to compare (e.g., example.com)'
+          },
+          since: {
+            type: 'string',
+            description: 'Compare with the snapshot that was current at this date (e.g., 2025-01-14). Defaults to the most recent earlier snapshot'
+          },
+          refresh: {
+            type: 'boolean',
+            description: 'If true, look the domain up now and store the result as a snapshot; if false, compare the latest stored snapshot',
+            default: true
+          },
+          cache: {
+            type: 'string',
+            enum: ['prefer', 'bypass', 'only'],
+            description: 'Cache behaviour for the refresh lookup, as for domain_lookup',
+            default: 'bypass'
+          }
+        },
+        required: ['domain'],
+        additionalProperties: false
+      }
+    };
+  }
+
+  async execute(params) {
+    const { domain, since, refresh = true, cache = 'bypass' } = params;
+
+    if (!domain) {
+      throw invalidInput('Domain parameter is required');
+    }
+
+    const sinceDate = since ? parseRegistryDate(since) : null;
+    if (since && !sinceDate) {
+      throw invalidInput(`Invalid since date: ${since}`);
+    }
+
+    const name = normalizeDomain(domain);
+    const { registrableDomain } = await this.registryDetector.parseDomain(name.ascii);
+    const history = await this.snapshotStore.list(registrableDomain);
+
+    let latest;
+    if (refresh) {
+      const result = await this.domainLookupTool.execute({
+        domain: registrableDomain,
+        cache,
+        include_protocol_details: false,
+        store_snapshot: true
+      });
+
+      if (!result.found) {
+        return {
+          domain: registrableDomain,
+          timestamp: new Date().toISOString(),
+          found: false,
+          message: result.message,
+          previous: history.length > 0 ? describeSnapshot(history[history.length - 1]) : null
+        };
+      }
+
+      const takenAt = result.cache?.stored_at || result.timestamp;
+      latest = { taken_at: takenAt, last_seen_at: takenAt, method: result.method, record: result.record };
+    } else {
+      latest = history.pop();
+      if (!latest) {
+        throw new LookupError(ERROR_CODES.NOT_FOUND, `No snapshots stored for ${registrableDomain}`, { retryable: false });
+      }
+    }
+
+    const previous = this.findPrevious(history, sinceDate);
+
+    if (!previous) {
+      return {
+        domain: registrableDomain,
+        timestamp: new Date().toISOString(),
+        current: describeSnapshot(latest),
+        previous: null,
+        message: sinceDate
+          ? `No snapshot of ${registrableDomain} from ${sinceDate} or earlier`
+          : `No earlier snapshot of ${registrableDomain} to compare with`
+      };
+    }
+
+    const changes = diffRecords(previous.record, latest.record);
+
+    return {
+      domain: registrableDomain,
+      timestamp: new Date().toISOString(),
+      current: describeSnapshot(latest),
+      previous: describeSnapshot(previous),
+      changed: Object.keys(changes).length > 0,
+      changes
+    };
+  }
+
+  // The snapshot that was current at `since`, or simply the latest stored one
+  findPrevious(history, since) {
+    if (!since) return history[history.length - 1] || null;
+    return history.filter((snapshot) => snapshot.taken_at <= since).pop() || null;
+  }
+}
@@ -0,0 +1,198 @@
+import { runWithConcurrency } from '../lib/concurrency.js';
+import { normalizeDomain } from '../lib/idn.js';
+import { ERROR_CODES, invalidInput, toLookupError } from '../lib/errors.js';
+import { resolveSources, SOURCES, trackHosts } from '../lib/sources.js';
+
+export const MAX_DOMAINS = 500;
+
+export class DomainLookupBatchTool {
+  constructor(domainLookupTool) {
+    this.domainLookupTool = domainLookupTool;
+    this.registryDetector = domainLookupTool.rdapClient.registryDetector;
+  }
+
+  getToolDefinition() {
+    return {
+      name: 'domain_lookup_batch',
+      description: `Look up many domains at once (up to ${MAX_DOMAINS}) using the same RDAP/WHOIS path as domain_lookup. Requests run concurrently but are spread across registry servers so no single server is overloaded. Returns each domain's result or error plus a summary.`,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          domains: {
+            type: 'array',
+            items: { type: 'string' },
+            minItems: 1,
+            maxItems: MAX_DOMAINS,
+            description: 'The domain names to look up'
+          },
+          concurrency: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 50,
+            description: 'Maximum number of lookups running at the same time',
+            default: 10
+          },
+          per_server_concurrency: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 10,
+            description: 'Maximum number of simultaneous lookups against a single RDAP/WHOIS server',
+            default: 2
+          },
+          prefer_whois: {
+            type: 'boolean',
+            description: 'If true, use WHOIS instead of RDAP as the primary lookup method',
+            default: false
+          },
+          include_raw: {
+            type: 'boolean',
+            description: 'If true, include raw protocol response data in each result',
+            default: false
+          },
+          cache: {
+            type: 'string',
+            enum: ['prefer', 'bypass', 'only'],
+            description: 'Cache behaviour, as for domain_lookup',
+            default: 'prefer'
+          },
+          sources: {
+            type: 'array',
+            items: { type: 'string', enum: SOURCES },
+            minItems: 1,
+            description: 'Where the domains may be sent, as for domain_lookup'
+          },
+          store_snapshot: {
+            type: 'boolean',
+            description: 'If true, keep each found record as a snapshot for domain_diff, as for domain_lookup. Defaults to the snapshots.enabled server setting'
+          }
+        },
+        required: ['domains'],
+        additionalProperties: false
+      }
+    };
+  }
+
+  async execute(params) {
+    const {
+      domains,
+      concurrency = 10,
+      per_server_concurrency = 2,
+      prefer_whois = false,
+      include_raw = false,
+      cache = 'prefer',
+      sources,
+      store_snapshot
+    } = params;
+
+    if (!Array.isArray(domains) || domains.length === 0) {
+      throw invalidInput('Domains parameter must be a non-empty array');
+    }
+    if (domains.length > MAX_DOMAINS) {
+      throw invalidInput(`Too many domains: ${domains.length} (maximum ${MAX_DOMAINS})`);
+    }
+    // Reject a bad policy once rather than in every result
+    const allowed = resolveSources(sources, this.domainLookupTool.sources);
+
+    const startedAt = Date.now();
+    const entries = await this.prepareEntries(domains, prefer_whois, allowed);
+    const runnable = entries.filter((entry) => !entry.error);
+
+    const settled = await runWithConcurrency(
+      runnable,
+      (entry) => this.domainLookupTool.execute({ domain: entry.domain, prefer_whois, include_raw, cache, sources, store_snapshot }),
+      {
+        concurrency: Math.min(Math.max(concurrency, 1), 50),
+        perKeyConcurrency: Math.min(Math.max(per_server_concurrency, 1), 10),
+        keyOf: (entry) => entry.server
+      }
+    );
+
+    runnable.forEach((entry, index) => {
+      const outcome = settled[index];
+      if (outcome.status === 'fulfilled') {
+        entry.result = outcome.value;
+        entry.result.hosts_contacted = mergeHosts(entry.hosts, entry.result.hosts_contacted);
+      } else {
+        entry.error = toLookupError(outcome.reason).toJSON();
+        if (entry.error.details?.hosts_contacted) {
+          entry.error.details.hosts_contacted = mergeHosts(entry.hosts, entry.error.details.hosts_contacted);
+        }
+      }
+    });
+
+    return this.formatResult(entries, Date.now() - startedAt);
+  }
+
+  async prepareEntries(domains, preferWhois, sources) {
+    const entries = [];
+    const [method] = this.domainLookupTool.methodsFor(sources, preferWhois);
+
+    for (const domain of domains) {
+      const entry = { domain, server: null, hosts: [] };
+      entries.push(entry);
+
+      try {
+        const name = normalizeDomain(domain);
+        const { registrableDomain } = await this.registryDetector.parseDomain(name.ascii);
+        // Finding the server may fetch IANA data; those hosts belong to this domain's lookup
+        const grouping = await trackHosts(() => this.getServerKey(registrableDomain, method, sources));
+        entry.server = grouping.value;
+        entry.hosts = grouping.hosts;
+      } catch (error) {
+        const lookupError = toLookupError(error);
+        if (lookupError.code !== ERROR_CODES.INVALID_INPUT) {
+          lookupError.details = { ...lookupError.details, source_policy: sources, hosts_contacted: error.hostsContacted };
+        }
+        entry.error = lookupError.toJSON();
+      }
+    }
+
+    return entries;
+  }
+
+  async getServerKey(registrableDomain, method, sources) {
+    // Group by the server the primary lookup method will hit, resolved only through
+    // the protocols the call allows
+    if (method === 'whois' && !sources.includes('whois-direct')) {
+      return 'domaindetails-api';
+    }
+
+    const server = method === 'rdap'
+      ? await this.registryDetector.getRdapUrl(registrableDomain)
+      : await this.registryDetector.getWhoisServer(registrableDomain);
+
+    return server || `tld:${await this.registryDetector.getTLD(registrableDomain)}`;
+  }
+
+  formatResult(entries, durationMs) {
+    const summary = {
+      total: entries.length,
+      found: 0,
+      not_found: 0,
+      failed: 0,
+      duration_ms: durationMs
+    };
+
+    const results = entries.map((entry) => {
+      if (entry.error) {
+        summary.failed++;
+        return { domain: entry.domain, status: 'failed', error: entry.error };
+      }
+
+      const status = entry.result.found ? 'found' : 'not_found';
+      summary[status]++;
+      return { domain: entry.domain, status, result: entry.result };
+    });
+
+    return { summary, results };
+  }
+}
+
+// Hosts contacted while grouping, followed by the lookup's own, each listed once
+function mergeHosts(first, second = []) {
+  const hosts = new Map();
+  for (const entry of [...first, ...second]) {
+    hosts.set(`${entry.source} ${entry.host}`, entry);
+  }
+  return [...hosts.values()];
+}
@@ -1,10 +1,18 @@
 import { RdapClient } from '../lib/rdap.js';
 import { WhoisClient } from '../lib/whois.js';
+import { combineErrors, ERROR_CODES, invalidInput, toLookupError } from '../lib/errors.js';
+import { normalizeResult } from '../lib/normalize.js';
+import { computeLifecycle } from '../lib/dates.js';
+import { resolveSources, SOURCES, trackHosts } from '../lib/sources.js';
+import { defaultSnapshotStore } from '../services/snapshot-store.js';
 
 export class DomainLookupTool {
-  constructor() {
-    this.rdapClient = new RdapClient();
-    this.whoisClient = new WhoisClient();
+  constructor(options = {}) {
+    this.rdapClient = new RdapClient(options.rdap);
+    this.whoisClient = new WhoisClient(options.whois);
+    this.snapshotStore = options.snapshotStore || defaultSnapshotStore;
+    // The server's sources policy; calls may narrow it with `sources`
+    this.sources = options.sources || SOURCES;
   }
 
   getToolDefinition() {
@@ -16,7 +24,7 @@ export class DomainLookupTool {
         properties: {
           domain: {
             type: 'string',
-            description: 'The domain name to look up (e.g., example.com)'
+            description: 'The domain name to look up (e.g., example.com). Internationalized names may be given in Unicode or punycode form.'
           },
           prefer_whois: {
             type: 'boolean',
@@ -27,6 +35,32 @@ export class DomainLookupTool {
             type: 'boolean', 
             description: 'If true, include raw protocol response data in the result',
             default: false
+          },
+          cache: {
+            type: 'string',
+            enum: ['prefer', 'bypass', 'only'],
+            description: 'Cache behaviour: "prefer" uses cached results when available (refreshing stale ones in the background), "bypass" always queries the registry, "only" never leaves the cache',
+            default: 'prefer'
+          },
+          follow_referral: {
+            type: 'boolean',
+            description: 'If true, follow the registry\'s RDAP link to the sponsoring registrar and merge its contacts and events (needed for thin registries such as .com and .net)',
+            default: true
+          },
+          include_protocol_details: {
+            type: 'boolean',
+            description: 'If true, include the protocol-specific "rdap" or "whois" block alongside the normalized "record"',
+            default: true
+          },
+          sources: {
+            type: 'array',
+            items: { type: 'string', enum: SOURCES },
+            minItems: 1,
+            description: 'Where the domain may be sent: "rdap" and "whois-direct" query the registry and registrar themselves, "domaindetails-api" is the third-party DomainDetails WHOIS API. Defaults to the server\'s sources setting and can only narrow it (e.g., ["rdap", "whois-direct"] to keep the name away from third parties)'
+          },
+          store_snapshot: {
+            type: 'boolean',
+            description: 'If true, keep the normalized record as a snapshot for domain_diff. Defaults to the snapshots.enabled server setting'
           }
         },
         required: ['domain'],
@@ -36,39 +70,77 @@ export class DomainLookupTool {
   }
 
   async execute(params) {
-    const { domain, prefer_whois = false, include_raw = false } = params;
+    const {
+      domain,
+      prefer_whois = false,
+      include_raw = false,
+      follow_referral = true,
+      cache = 'prefer',
+      include_protocol_details = true,
+      store_snapshot = this.snapshotStore.enabled
+    } = params;
 
     if (!domain) {
-      throw new Error('Domain parameter is required');
+      throw invalidInput('Domain parameter is required');
     }
 
+    const sources = resolveSources(params.sources, this.sources);
+    const rdapOptions = { followReferral: follow_referral, cache };
+    const whoisOptions = { cache, sources };
+
+    const methods = this.methodsFor(sources, prefer_whois);
+
+    let lookup;
+    try {
+      lookup = await trackHosts(() => this.lookup(domain, methods, rdapOptions, whoisOptions));
+    } catch (error) {
+      const lookupError = toLookupError(error);
+      if (lookupError.code !== ERROR_CODES.INVALID_INPUT) {
+        lookupError.details = { ...lookupError.details, source_policy: sources, hosts_contacted: error.hostsContacted };
+      }
+      throw lookupError;
+    }
+
+    // Clean up result for output
+    const formatted = this.formatResult(lookup.value, include_raw, include_protocol_details);
+    formatted.source_policy = sources;
+    formatted.hosts_contacted = lookup.hosts;
+
+    if (store_snapshot && formatted.found) {
+      await this.storeSnapshot(formatted);
+    }
+
+    return formatted;
+  }
+
+  // Methods the sources policy leaves us, in order of preference
+  methodsFor(sources, preferWhois) {
+    return (preferWhois ? ['whois', 'rdap'] : ['rdap', 'whois']).filter((method) =>
+      method === 'rdap' ? sources.includes('rdap') : sources.some((source) => source !== 'rdap')
+    );
+  }
+
+  async lookupWith(method, domain, rdapOptions, whoisOptions) {
+    const result = method === 'rdap'
+      ? await this.rdapClient.lookupDomain(domain, rdapOptions)
+      : await this.whoisClient.lookupDomain(domain, whoisOptions);
+    result.method = method;
+    return result;
+  }
+
+  async lookup(domain, [primaryMethod, fallbackMethod], rdapOptions, whoisOptions) {
     let result;
-    let primaryMethod = prefer_whois ? 'whois' : 'rdap';
-    let fallbackMethod = prefer_whois ? 'rdap' : 'whois';
 
     try {
       // Try primary method first
-      if (primaryMethod === 'rdap') {
-        result = await this.rdapClient.lookupDomain(domain);
-        result.method = 'rdap';
-      } else {
-        result = await this.whoisClient.lookupDomain(domain);
-        result.method = 'whois';
-      }
+      result = await this.lookupWith(primaryMethod, domain, rdapOptions, whoisOptions);
 
       // If primary method failed or didn't find the domain, try fallback
       if (!result.found && fallbackMethod) {
-        console.log(`Primary method (${primaryMethod}) failed, trying fallback (${fallbackMethod})`);
+        console.warn(`Primary method (${primaryMethod}) failed, trying fallback (${fallbackMethod})`);
         
         try {
-          let fallbackResult;
-          if (fallbackMethod === 'rdap') {
-            fallbackResult = await this.rdapClient.lookupDomain(domain);
-            fallbackResult.method = 'rdap';
-          } else {
-            fallbackResult = await this.whoisClient.lookupDomain(domain);
-            fallbackResult.method = 'whois';
-          }
+          const fallbackResult = await this.lookupWith(fallbackMethod, domain, rdapOptions, whoisOptions);
 
           if (fallbackResult.found) {
             result = fallbackResult;
@@ -77,37 +149,53 @@ export class DomainLookupTool {
           }
         } catch (fallbackError) {
           console.warn(`Fallback method also failed: ${fallbackError.message}`);
-          result.fallback_error = fallbackError.message;
+          result.fallback_error = toLookupError(fallbackError).toJSON();
         }
       }
 
     } catch (error) {
+      // A malformed name fails the same way over either protocol, and the
+      // sources policy may leave no other protocol to try
+      if (error.code === ERROR_CODES.INVALID_INPUT || !fallbackMethod) {
+        throw error;
+      }
+
       // If primary method throws an error, try fallback
-      console.log(`Primary method (${primaryMethod}) threw error, trying fallback: ${error.message}`);
+      console.warn(`Primary method (${primaryMethod}) threw error, trying fallback: ${error.message}`);
       
       try {
-        if (fallbackMethod === 'rdap') {
-          result = await this.rdapClient.lookupDomain(domain);
-          result.method = 'rdap';
-        } else {
-          result = await this.whoisClient.lookupDomain(domain);
-          result.method = 'whois';
-        }
-        
+        result = await this.lookupWith(fallbackMethod, domain, rdapOptions, whoisOptions);
         result.fallback_used = true;
-        result.primary_method_error = error.message;
+        result.primary_method_error = toLookupError(error).toJSON();
         
       } catch (fallbackError) {
-        // Both methods failed
-        throw new Error(`Both RDAP and WHOIS lookups failed. RDAP: ${primaryMethod === 'rdap' ? error.message : fallbackError.message}, WHOIS: ${primaryMethod === 'whois' ? error.message : fallbackError.message}`);
+        // Both methods failed; the combined code tells the caller whether retrying is worthwhile
+        const rdapError = toLookupError(primaryMethod === 'rdap' ? error : fallbackError, { protocol: 'rdap' });
+        const whoisError = toLookupError(primaryMethod === 'whois' ? error : fallbackError, { protocol: 'whois' });
+        throw combineErrors(
+          `Both RDAP and WHOIS lookups failed. RDAP: ${rdapError.message}, WHOIS: ${whoisError.message}`,
+          [rdapError, whoisError]
+        );
       }
     }
 
-    // Clean up result for output
-    return this.formatResult(result, include_raw);
+    return result;
+  }
+
+  async storeSnapshot(formatted) {
+    try {
+      // A cached answer describes the domain as it was when it was fetched
+      await this.snapshotStore.add(formatted.record, {
+        method: formatted.method,
+        takenAt: formatted.cache?.stored_at || formatted.timestamp
+      });
+    } catch (error) {
+      // History is best effort; the lookup itself succeeded
+      console.warn(`Failed to store snapshot for ${formatted.domain}: ${error.message}`);
+    }
   }
 
-  formatResult(result, includeRaw) {
+  formatResult(result, includeRaw, includeProtocolDetails = true) {
     const formatted = {
       domain: result.domain,
       found: result.found,
@@ -115,6 +203,29 @@ export class DomainLookupTool {
       timestamp: new Date().toISOString()
     };
 
+    if (result.cache) {
+      formatted.cache = {
+        status: result.cache.status,
+        age_seconds: result.cache.ageSeconds,
+        stored_at: result.cache.storedAt,
+        expires_at: result.cache.expiresAt
+      };
+    }
+
+    if (result.ldhName) formatted.ldh_name = result.ldhName;
+    if (result.unicodeName && result.unicodeName !== result.ldhName) {
+      formatted.unicode_name = result.unicodeName;
+    }
+
+    if (result.inputDomain) {
+      formatted.input_domain = result.inputDomain;
+      formatted.subdomain = result.subdomain;
+    }
+
+    if (result.idnWarnings) {
+      formatted.idn_warnings = result.idnWarnings;
+    }
+
     if (result.fallback_used) {
       formatted.fallback_used = result.fallback_used;
       formatted.primary_method_failed = result.primary_method_failed;
@@ -128,6 +239,10 @@ export class DomainLookupTool {
       formatted.fallback_error = result.fallback_error;
     }
 
+    if (result.requests && result.requests.length > 0) {
+      formatted.requests = result.requests;
+    }
+
     if (!result.found) {
       formatted.message = result.message || result.error || 'Domain not found';
       return formatted;
@@ -142,17 +257,27 @@ export class DomainLookupTool {
       formatted.nameservers = result.nameservers;
     }
 
-    // Format based on method
-    if (result.method === 'rdap') {
-      formatted.rdap = this.formatRdapResult(result);
-    } else {
-      formatted.whois = this.formatWhoisResult(result);
+    // Same shape for RDAP and WHOIS, with the source of every field
+    formatted.record = normalizeResult(result);
+    Object.assign(formatted, computeLifecycle(formatted.record.dates));
+
+    // Protocol-specific detail
+    if (includeProtocolDetails) {
+      if (result.method === 'rdap') {
+        formatted.rdap = this.formatRdapResult(result);
+      } else {
+        formatted.whois = this.formatWhoisResult(result);
+      }
     }
 
     // Include raw data if requested
     if (includeRaw && result.rawData) {
       formatted.raw_data = result.rawData;
     }
+    if (includeRaw && result.registrarRawData) {
+      // WHOIS referral text or the registrar's RDAP object, depending on the method
+      formatted.raw_registrar_data = result.registrarRawData;
+    }
 
     return formatted;
   }
@@ -178,6 +303,7 @@ export class DomainLookupTool {
       rdap.contacts = result.entities.map(entity => ({
         handle: entity.handle,
         roles: entity.roles,
+        source: entity.source,
         contact_info: entity.contact
       }));
     }
@@ -205,6 +331,10 @@ export class DomainLookupTool {
       rdap.whois_server = result.port43;
     }
 
+    if (result.registrarReferral) {
+      rdap.registrar_referral = result.registrarReferral;
+    }
+
     return rdap;
   }
 
@@ -224,6 +354,10 @@ export class DomainLookupTool {
 
     if (result.dnssec) whois.dnssec = result.dnssec;
 
+    if (result.whoisServer) whois.whois_server = result.whoisServer;
+    if (result.referralServer) whois.referral_server = result.referralServer;
+    if (result.referralError) whois.referral_error = result.referralError;
+
     return whois;
   }
 }
\ No newline at end of file
@@ -0,0 +1,93 @@
+import { invalidInput } from '../lib/errors.js';
+import { rdapContact } from '../lib/normalize.js';
+import { formatEntities, formatEvents, formatRemarks, rirFromServer } from '../lib/rdap-objects.js';
+
+export class EntityLookupTool {
+  constructor(domainLookupTool) {
+    this.rdapClient = domainLookupTool.rdapClient;
+  }
+
+  getToolDefinition() {
+    return {
+      name: 'entity_lookup',
+      description: 'Look up a registrar, contact or organisation by its RDAP handle (e.g., GOGL-ARIN, or 292-IANA at a domain registry). Handles with a service tag from the IANA object-tags bootstrap (-ARIN, -RIPE, -AP, ...) are sent to that service; other handles need the TLD whose registry holds them.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          handle: {
+            type: 'string',
+            description: 'The entity handle (e.g., GOGL-ARIN or 292-IANA)'
+          },
+          tld: {
+            type: 'string',
+            description: 'The TLD whose registry holds the entity (e.g., "com" for 292-IANA). Overrides the object-tag bootstrap'
+          },
+          include_raw: {
+            type: 'boolean',
+            description: 'If true, include the raw RDAP response',
+            default: false
+          },
+          cache: {
+            type: 'string',
+            enum: ['prefer', 'bypass', 'only'],
+            description: 'Cache behaviour, as for domain_lookup',
+            default: 'prefer'
+          }
+        },
+        required: ['handle'],
+        additionalProperties: false
+      }
+    };
+  }
+
+  async execute(params) {
+    const { handle, tld, include_raw = false, cache = 'prefer' } = params;
+
+    if (!handle) {
+      throw invalidInput('Handle parameter is required');
+    }
+
+    const result = await this.rdapClient.lookupEntity(handle, { tld, cache });
+    return this.formatResult(result, include_raw);
+  }
+
+  formatResult(result, includeRaw) {
+    const formatted = {
+      query: result.query,
+      found: result.found,
+      rir: rirFromServer(result.server),
+      server: result.server,
+      timestamp: new Date().toISOString()
+    };
+
+    if (result.cache) {
+      formatted.cache = { status: result.cache.status, age_seconds: result.cache.ageSeconds };
+    }
+    if (result.requests && result.requests.length > 0) {
+      formatted.requests = result.requests;
+    }
+
+    if (!result.found) {
+      formatted.message = result.message;
+      return formatted;
+    }
+
+    const nested = formatEntities(result.entities || []);
+
+    formatted.handle = result.handle || null;
+    formatted.roles = result.roles;
+    formatted.contact = rdapContact(result);
+    formatted.public_ids = (result.publicIds || []).map((id) => ({ type: id.type, identifier: id.identifier }));
+    formatted.status = result.status || [];
+    formatted.abuse = nested.abuse;
+    formatted.contacts = nested.contacts;
+    formatted.dates = formatEvents(result.events);
+    formatted.remarks = formatRemarks(result.remarks);
+
+    if (includeRaw) {
+      formatted.raw_data = result.rawData;
+    }
+
+    return formatted;
+  }
+}
@@ -0,0 +1,228 @@
+import { invalidInput } from '../lib/errors.js';
+import { normalizeDomain, toUnicode } from '../lib/idn.js';
+import { DEFAULT_SWAP_TLDS, DEFAULT_WORDS, generateLookalikes, LOOKALIKE_KINDS } from '../lib/lookalikes.js';
+import { SOURCES } from '../lib/sources.js';
+import { MAX_DOMAINS } from './domain-lookup-batch.js';
+
+const MAX_VARIANTS = 5000;
+
+// Alternate between kinds so a limited check covers every kind, not just the first
+function interleaveByKind(variants) {
+  const queues = new Map();
+  for (const variant of variants) {
+    const [kind] = variant.kinds;
+    if (!queues.has(kind)) queues.set(kind, []);
+    queues.get(kind).push(variant);
+  }
+
+  const ordered = [];
+  while (ordered.length < variants.length) {
+    for (const queue of queues.values()) {
+      if (queue.length > 0) ordered.push(queue.shift());
+    }
+  }
+  return ordered;
+}
+
+function checkedVariant(variant, outcome) {
+  const record = outcome.result.record;
+  return {
+    domain: variant.domain,
+    unicode_domain: variant.unicode,
+    kinds: variant.kinds,
+    registrar: record.registrar?.name ?? null,
+    created: record.dates.created,
+    nameservers: record.nameservers.map((ns) => ns.name),
+    method: outcome.result.method
+  };
+}
+
+export class GenerateLookalikesTool {
+  constructor(batchTool) {
+    this.batchTool = batchTool;
+    this.registryDetector = batchTool.domainLookupTool.rdapClient.registryDetector;
+  }
+
+  getToolDefinition() {
+    return {
+      name: 'generate_lookalikes',
+      description: 'Generate typosquatting and lookalike permutations of a domain for brand protection: character omission, transposition, homoglyphs (including IDN lookalikes such as Cyrillic "а" for "a"), bitsquatting, hyphenation, TLD swaps and added words such as "login" or "secure". Optionally checks which variants are registered through the same RDAP/WHOIS lookups as domain_lookup_batch and reports their registrar, creation date and nameservers.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          domain: {
+            type: 'string',
+            description: 'The domain to permute (e.g., example.com). Subdomains are reduced to the registrable domain'
+          },
+          kinds: {
+            type: 'array',
+            items: { type: 'string', enum: LOOKALIKE_KINDS },
+            minItems: 1,
+            description: 'The kinds of variant to generate (default: all)'
+          },
+          tlds: {
+            type: 'array',
+            items: { type: 'string' },
+            description: `Suffixes for tld_swap (default: ${DEFAULT_SWAP_TLDS.join(', ')})`
+          },
+          words: {
+            type: 'array',
+            items: { type: 'string' },
+            description: `Words prepended and appended by dictionary (default: ${DEFAULT_WORDS.join(', ')})`
+          },
+          check_registration: {
+            type: 'boolean',
+            description: 'If true, look up the variants and report which are registered',
+            default: false
+          },
+          max_checks: {
+            type: 'integer',
+            minimum: 1,
+            maximum: MAX_DOMAINS,
+            description: 'Look up at most this many variants, taken evenly across kinds',
+            default: 100
+          },
+          concurrency: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 50,
+            description: 'Maximum number of lookups running at the same time',
+            default: 10
+          },
+          per_server_concurrency: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 10,
+            description: 'Maximum number of simultaneous lookups against a single RDAP/WHOIS server',
+            default: 2
+          },
+          cache: {
+            type: 'string',
+            enum: ['prefer', 'bypass', 'only'],
+            description: 'Cache behaviour for the registration checks, as for domain_lookup',
+            default: 'prefer'
+          },
+          sources: {
+            type: 'array',
+            items: { type: 'string', enum: SOURCES },
+            minItems: 1,
+            description: 'Where the variants may be sent, as for domain_lookup'
+          }
+        },
+        required: ['domain'],
+        additionalProperties: false
+      }
+    };
+  }
+
+  async execute(params) {
+    const {
+      domain,
+      kinds,
+      tlds,
+      words,
+      check_registration = false,
+      max_checks = 100,
+      concurrency = 10,
+      per_server_concurrency = 2,
+      cache = 'prefer',
+      sources
+    } = params;
+
+    if (!domain) {
+      throw invalidInput('Domain parameter is required');
+    }
+    if (kinds !== undefined) {
+      const unknown = Array.isArray(kinds) ? kinds.filter((kind) => !LOOKALIKE_KINDS.includes(kind)) : [kinds];
+      if (unknown.length > 0 || kinds.length === 0) {
+        throw invalidInput(`Kinds must be a non-empty array of ${LOOKALIKE_KINDS.join(', ')}`);
+      }
+    }
+    for (const [name, list] of [['Tlds', tlds], ['Words', words]]) {
+      if (list !== undefined && (!Array.isArray(list) || list.some((item) => typeof item !== 'string'))) {
+        throw invalidInput(`${name} must be an array of strings`);
+      }
+    }
+
+    const name = normalizeDomain(domain);
+    const { registrableDomain, publicSuffix } = await this.registryDetector.parseDomain(name.ascii);
+    const [label] = toUnicode(registrableDomain).split('.');
+
+    const variants = generateLookalikes({ label, suffix: publicSuffix, ascii: registrableDomain }, {
+      kinds,
+      tlds: tlds?.map((tld) => tld.trim().toLowerCase().replace(/^\./, '')).filter(Boolean),
+      words: words?.map((word) => word.trim().toLowerCase()).filter(Boolean)
+    });
+
+    if (variants.length > MAX_VARIANTS) {
+      throw invalidInput(`Too many variants: ${variants.length} (maximum ${MAX_VARIANTS}); narrow kinds, tlds or words`);
+    }
+
+    const byKind = Object.fromEntries(LOOKALIKE_KINDS.map((kind) => [kind, 0]));
+    for (const variant of variants) {
+      for (const kind of variant.kinds) byKind[kind]++;
+    }
+
+    const formatted = {
+      domain: registrableDomain,
+      timestamp: new Date().toISOString(),
+      summary: { total_variants: variants.length, by_kind: byKind }
+    };
+    if (name.isIdn) formatted.unicode_domain = toUnicode(registrableDomain);
+
+    if (!check_registration) {
+      formatted.variants = variants.map((variant) => ({
+        domain: variant.domain,
+        unicode_domain: variant.unicode,
+        kinds: variant.kinds
+      }));
+      return formatted;
+    }
+
+    const checked = interleaveByKind(variants).slice(0, Math.min(Math.max(max_checks, 1), MAX_DOMAINS));
+    const { results } = await this.batchTool.execute({
+      domains: checked.map((variant) => variant.domain),
+      concurrency,
+      per_server_concurrency,
+      cache,
+      sources,
+      // Registered typosquats are not domains anyone asked to track
+      store_snapshot: false
+    });
+
+    const registered = [];
+    const failed = [];
+    const status = new Map();
+
+    results.forEach((outcome, index) => {
+      const variant = checked[index];
+      if (outcome.status === 'failed') {
+        failed.push({ domain: variant.domain, error: outcome.error });
+      } else if (outcome.status === 'found') {
+        registered.push(checkedVariant(variant, outcome));
+        status.set(variant.domain, true);
+      } else {
+        status.set(variant.domain, false);
+      }
+    });
+
+    Object.assign(formatted.summary, {
+      checked: checked.length,
+      registered: registered.length,
+      not_registered: checked.length - registered.length - failed.length,
+      failed: failed.length,
+      unchecked: variants.length - checked.length
+    });
+    formatted.registered = registered;
+    formatted.failed = failed;
+    // registered is null for variants that were not checked or whose lookup failed
+    formatted.variants = variants.map((variant) => ({
+      domain: variant.domain,
+      unicode_domain: variant.unicode,
+      kinds: variant.kinds,
+      registered: status.get(variant.domain) ?? null
+    }));
+
+    return formatted;
+  }
+}
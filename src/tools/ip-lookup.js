@@ -0,0 +1,107 @@
+import { invalidInput } from '../lib/errors.js';
+import { formatEntities, formatEvents, formatRemarks, rirFromServer } from '../lib/rdap-objects.js';
+
+function formatNetwork(network) {
+  return {
+    handle: network.handle,
+    name: network.name || null,
+    type: network.type || null,
+    ip_version: network.ipVersion || null,
+    range: { start: network.startAddress, end: network.endAddress },
+    cidrs: network.cidrs,
+    country: network.country || null,
+    status: network.status,
+    parent_handle: network.parentHandle || null
+  };
+}
+
+export class IpLookupTool {
+  constructor(domainLookupTool) {
+    this.rdapClient = domainLookupTool.rdapClient;
+  }
+
+  getToolDefinition() {
+    return {
+      name: 'ip_lookup',
+      description: 'Look up who holds an IPv4/IPv6 address or CIDR block using RDAP at the responsible Regional Internet Registry (ARIN, RIPE NCC, APNIC, LACNIC, AFRINIC). Returns the network range, name, country, parent allocation, and the owner and abuse contacts.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          address: {
+            type: 'string',
+            description: 'An IPv4 or IPv6 address (e.g., 8.8.8.8, 2001:db8::1) or CIDR block (e.g., 192.0.2.0/24)'
+          },
+          include_parent: {
+            type: 'boolean',
+            description: 'If true, also fetch the parent allocation the network was assigned from',
+            default: true
+          },
+          include_raw: {
+            type: 'boolean',
+            description: 'If true, include the raw RDAP response',
+            default: false
+          },
+          cache: {
+            type: 'string',
+            enum: ['prefer', 'bypass', 'only'],
+            description: 'Cache behaviour, as for domain_lookup',
+            default: 'prefer'
+          }
+        },
+        required: ['address'],
+        additionalProperties: false
+      }
+    };
+  }
+
+  async execute(params) {
+    const { address, include_parent = true, include_raw = false, cache = 'prefer' } = params;
+
+    if (!address) {
+      throw invalidInput('Address parameter is required');
+    }
+
+    const result = await this.rdapClient.lookupIp(address, { includeParent: include_parent, cache });
+    return this.formatResult(result, include_raw);
+  }
+
+  formatResult(result, includeRaw) {
+    const formatted = {
+      query: result.query,
+      found: result.found,
+      rir: rirFromServer(result.server),
+      server: result.server,
+      timestamp: new Date().toISOString()
+    };
+
+    if (result.cache) {
+      formatted.cache = { status: result.cache.status, age_seconds: result.cache.ageSeconds };
+    }
+    if (result.requests && result.requests.length > 0) {
+      formatted.requests = result.requests;
+    }
+
+    if (!result.found) {
+      formatted.message = result.message;
+      return formatted;
+    }
+
+    formatted.network = formatNetwork(result);
+
+    if (result.parent) {
+      formatted.parent = formatNetwork(result.parent);
+    } else if (result.parentError) {
+      formatted.parent_error = result.parentError;
+    }
+
+    Object.assign(formatted, formatEntities(result.entities));
+    formatted.dates = formatEvents(result.events);
+    formatted.remarks = formatRemarks(result.remarks);
+
+    if (includeRaw) {
+      formatted.raw_data = result.rawData;
+    }
+
+    return formatted;
+  }
+}
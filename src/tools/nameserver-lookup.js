@@ -0,0 +1,93 @@
+import { invalidInput } from '../lib/errors.js';
+import { formatEntities, formatEvents, formatRemarks } from '../lib/rdap-objects.js';
+
+export class NameserverLookupTool {
+  constructor(domainLookupTool) {
+    this.rdapClient = domainLookupTool.rdapClient;
+  }
+
+  getToolDefinition() {
+    return {
+      name: 'nameserver_lookup',
+      description: 'Look up a nameserver host object (e.g., ns1.example.com) in a registry\'s RDAP service. Returns its status, registered IP addresses (glue), sponsoring registrar and dates.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          host: {
+            type: 'string',
+            description: 'The nameserver host name (e.g., ns1.example.com)'
+          },
+          tld: {
+            type: 'string',
+            description: 'Ask the registry of this TLD instead of the one for the host\'s own TLD (e.g., "com" for an external host used by .com domains)'
+          },
+          include_raw: {
+            type: 'boolean',
+            description: 'If true, include the raw RDAP response',
+            default: false
+          },
+          cache: {
+            type: 'string',
+            enum: ['prefer', 'bypass', 'only'],
+            description: 'Cache behaviour, as for domain_lookup',
+            default: 'prefer'
+          }
+        },
+        required: ['host'],
+        additionalProperties: false
+      }
+    };
+  }
+
+  async execute(params) {
+    const { host, tld, include_raw = false, cache = 'prefer' } = params;
+
+    if (!host) {
+      throw invalidInput('Host parameter is required');
+    }
+
+    const result = await this.rdapClient.lookupNameserver(host, { tld, cache });
+    return this.formatResult(result, include_raw);
+  }
+
+  formatResult(result, includeRaw) {
+    const formatted = {
+      query: result.query,
+      found: result.found,
+      server: result.server,
+      timestamp: new Date().toISOString()
+    };
+
+    if (result.cache) {
+      formatted.cache = { status: result.cache.status, age_seconds: result.cache.ageSeconds };
+    }
+    if (result.requests && result.requests.length > 0) {
+      formatted.requests = result.requests;
+    }
+
+    if (!result.found) {
+      formatted.message = result.message;
+      return formatted;
+    }
+
+    formatted.host = result.ldhName;
+    if (result.unicodeName && result.unicodeName !== result.ldhName) {
+      formatted.unicode_name = result.unicodeName;
+    }
+    formatted.handle = result.handle || null;
+    formatted.status = result.status;
+    formatted.ip_addresses = result.ipAddresses;
+
+    const registrar = result.entities.find((entity) => entity.roles.includes('registrar'));
+    formatted.registrar = registrar ? (registrar.contact?.name || registrar.contact?.organization || registrar.handle || null) : null;
+    formatted.contacts = formatEntities(result.entities).contacts;
+    formatted.dates = formatEvents(result.events);
+    formatted.remarks = formatRemarks(result.remarks);
+
+    if (includeRaw) {
+      formatted.raw_data = result.rawData;
+    }
+
+    return formatted;
+  }
+}
@@ -0,0 +1,183 @@
+import { SEARCH_TYPES } from '../lib/rdap.js';
+import { invalidInput, LookupError, ERROR_CODES } from '../lib/errors.js';
+import { normalizeRdapResult, rdapContact } from '../lib/normalize.js';
+
+const MAX_RESULTS = 500;
+const MAX_PAGES = 20;
+
+// Service tags of the RIRs in the IANA object-tags bootstrap
+const RIR_TAGS = {
+  arin: 'ARIN',
+  ripe: 'RIPE',
+  apnic: 'AP',
+  lacnic: 'LACNIC',
+  afrinic: 'AFRINIC'
+};
+
+function summarize(type, item) {
+  if (type === 'domains') {
+    const record = normalizeRdapResult(item);
+    return {
+      name: record.domain,
+      unicode_name: item.unicodeName || null,
+      handle: item.handle || null,
+      status: record.status,
+      registrar: record.registrar?.name || null,
+      created: record.dates.created,
+      expires: record.dates.expires,
+      nameservers: record.nameservers.map((ns) => ns.name)
+    };
+  }
+
+  if (type === 'nameservers') {
+    return {
+      name: item.ldhName,
+      handle: item.handle || null,
+      status: item.status,
+      ip_addresses: item.ipAddresses
+    };
+  }
+
+  return { roles: item.roles, ...rdapContact(item) };
+}
+
+export class RdapSearchTool {
+  constructor(domainLookupTool) {
+    this.rdapClient = domainLookupTool.rdapClient;
+    this.registryDetector = domainLookupTool.rdapClient.registryDetector;
+  }
+
+  getToolDefinition() {
+    return {
+      name: 'rdap_search',
+      description: 'Search a registry or RIR RDAP service (RFC 9082): domains by name pattern (e.g., exa*.com), nameserver or nameserver IP; nameservers by name or IP; entities by name (fn) or handle. Checks the server\'s /help conformance for search support first, follows paging links up to a limit, and returns compact summaries. Few registries enable search.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          type: {
+            type: 'string',
+            enum: Object.keys(SEARCH_TYPES),
+            description: 'The kind of object to search for'
+          },
+          by: {
+            type: 'string',
+            enum: [...new Set(Object.values(SEARCH_TYPES).flat())],
+            description: 'The search parameter: domains accept name, nsLdhName, nsIp; nameservers accept name, ip; entities accept fn, handle'
+          },
+          query: {
+            type: 'string',
+            description: 'The search value. A trailing "*" matches any suffix of a label (e.g., exa*.com, "Example*")'
+          },
+          tld: {
+            type: 'string',
+            description: 'The TLD whose registry to search. Taken from the query for name searches such as exa*.com'
+          },
+          rir: {
+            type: 'string',
+            enum: Object.keys(RIR_TAGS),
+            description: 'Search a Regional Internet Registry instead of a domain registry (e.g., entities by fn at ARIN)'
+          },
+          max_results: {
+            type: 'integer',
+            minimum: 1,
+            maximum: MAX_RESULTS,
+            description: 'Stop after this many results',
+            default: 50
+          },
+          max_pages: {
+            type: 'integer',
+            minimum: 1,
+            maximum: MAX_PAGES,
+            description: 'Stop after this many result pages',
+            default: 5
+          },
+          force: {
+            type: 'boolean',
+            description: 'If true, run the search even when the server\'s /help response does not advertise search',
+            default: false
+          }
+        },
+        required: ['type', 'by', 'query'],
+        additionalProperties: false
+      }
+    };
+  }
+
+  async execute(params) {
+    const { type, by, query, tld, rir, max_results = 50, max_pages = 5, force = false } = params;
+
+    if (!SEARCH_TYPES[type]) {
+      throw invalidInput(`Type must be one of ${Object.keys(SEARCH_TYPES).join(', ')}`);
+    }
+    if (!SEARCH_TYPES[type].includes(by)) {
+      throw invalidInput(`${type} cannot be searched by "${by}" (expected one of ${SEARCH_TYPES[type].join(', ')})`);
+    }
+    if (!query || typeof query !== 'string') {
+      throw invalidInput('Query parameter is required');
+    }
+
+    const baseUrl = await this.resolveServer({ type, by, query, tld, rir });
+    const result = await this.rdapClient.search(baseUrl, type, by, query.trim(), {
+      maxResults: Math.min(Math.max(max_results, 1), MAX_RESULTS),
+      maxPages: Math.min(Math.max(max_pages, 1), MAX_PAGES),
+      force
+    });
+
+    const formatted = {
+      type,
+      by,
+      query,
+      server: result.server,
+      timestamp: new Date().toISOString(),
+      search_advertised: result.searchAdvertised,
+      rdap_conformance: result.rdapConformance,
+      supported: result.supported
+    };
+
+    if (!result.supported) {
+      formatted.message = result.message ||
+        `${result.server} does not advertise search in its /help conformance; set force to try anyway`;
+      return formatted;
+    }
+
+    formatted.count = result.results.length;
+    formatted.total_count = result.totalCount;
+    formatted.pages = result.pages;
+    formatted.truncated = result.truncated;
+    formatted.requests = result.requests;
+    formatted.results = result.results.map((item) => summarize(type, item));
+
+    return formatted;
+  }
+
+  async resolveServer({ type, by, query, tld, rir }) {
+    if (rir) {
+      const [server] = await this.rdapClient.bootstrap.findObjectTagServers(RIR_TAGS[rir] || rir);
+      if (!server) {
+        throw new LookupError(ERROR_CODES.NOT_FOUND, `No RDAP service found for ${rir} in the IANA object-tags bootstrap`, {
+          protocol: 'rdap',
+          retryable: false
+        });
+      }
+      return server;
+    }
+
+    // "exa*.co.uk" searches the registry of the labels after the wildcard
+    let suffix = tld ? tld.toLowerCase().replace(/^\./, '') : null;
+    if (!suffix && by === 'name' && type !== 'entities') {
+      const labels = query.trim().toLowerCase().replace(/\.$/, '').split('.');
+      const wildcard = labels.findLastIndex((label) => label.includes('*'));
+      suffix = labels.slice(Math.max(wildcard + 1, 1)).join('.') || null;
+    }
+
+    if (!suffix) {
+      throw invalidInput('Name the tld (or rir) to search; it cannot be taken from this query');
+    }
+
+    const server = await this.registryDetector.getRdapUrlForSuffix(suffix);
+    if (!server) {
+      throw new LookupError(ERROR_CODES.UNSUPPORTED_TLD, `No RDAP server found for .${suffix}`, { protocol: 'rdap' });
+    }
+    return server;
+  }
+}
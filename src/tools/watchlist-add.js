@@ -0,0 +1,69 @@
+import { normalizeDomain } from '../lib/idn.js';
+import { invalidInput, toLookupError } from '../lib/errors.js';
+import { defaultWatchlistStore } from '../services/watchlist-store.js';
+import { MAX_DOMAINS } from './domain-lookup-batch.js';
+
+export class WatchlistAddTool {
+  constructor(domainLookupTool, store = defaultWatchlistStore) {
+    this.registryDetector = domainLookupTool.rdapClient.registryDetector;
+    this.store = store;
+  }
+
+  getToolDefinition() {
+    return {
+      name: 'watchlist_add',
+      description: `Add domains to the local expiry watchlist (up to ${MAX_DOMAINS} domains in total). Subdomains are stored as their registrable domain. Use watchlist_report to check the watched domains.`,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          domains: {
+            type: 'array',
+            items: { type: 'string' },
+            minItems: 1,
+            maxItems: MAX_DOMAINS,
+            description: 'The domain names to watch'
+          },
+          note: {
+            type: 'string',
+            description: 'Optional note stored with each domain (e.g., the owner or purpose)'
+          }
+        },
+        required: ['domains'],
+        additionalProperties: false
+      }
+    };
+  }
+
+  async execute(params) {
+    const { domains, note } = params;
+
+    if (!Array.isArray(domains) || domains.length === 0) {
+      throw invalidInput('Domains parameter must be a non-empty array');
+    }
+
+    const accepted = [];
+    const rejected = [];
+
+    for (const domain of domains) {
+      try {
+        const name = normalizeDomain(domain);
+        const { registrableDomain } = await this.registryDetector.parseDomain(name.ascii);
+        if (!accepted.some((entry) => entry.domain === registrableDomain)) {
+          accepted.push({ domain: registrableDomain, note });
+        }
+      } catch (error) {
+        rejected.push({ domain, error: toLookupError(error).toJSON() });
+      }
+    }
+
+    const results = await this.store.add(accepted, { limit: MAX_DOMAINS });
+    const watched = await this.store.list();
+
+    return {
+      added: results.filter((entry) => entry.added).map(({ added, ...entry }) => entry),
+      already_watched: results.filter((entry) => !entry.added).map((entry) => entry.domain),
+      rejected,
+      total_watched: watched.length
+    };
+  }
+}
@@ -0,0 +1,58 @@
+import { normalizeDomain } from '../lib/idn.js';
+import { invalidInput } from '../lib/errors.js';
+import { defaultWatchlistStore } from '../services/watchlist-store.js';
+
+export class WatchlistRemoveTool {
+  constructor(domainLookupTool, store = defaultWatchlistStore) {
+    this.registryDetector = domainLookupTool.rdapClient.registryDetector;
+    this.store = store;
+  }
+
+  getToolDefinition() {
+    return {
+      name: 'watchlist_remove',
+      description: 'Remove domains from the local expiry watchlist.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          domains: {
+            type: 'array',
+            items: { type: 'string' },
+            minItems: 1,
+            description: 'The domain names to stop watching'
+          }
+        },
+        required: ['domains'],
+        additionalProperties: false
+      }
+    };
+  }
+
+  async execute(params) {
+    const { domains } = params;
+
+    if (!Array.isArray(domains) || domains.length === 0) {
+      throw invalidInput('Domains parameter must be a non-empty array');
+    }
+
+    const names = [];
+    for (const domain of domains) {
+      try {
+        const name = normalizeDomain(domain);
+        names.push((await this.registryDetector.parseDomain(name.ascii)).registrableDomain);
+      } catch {
+        // Not a valid name now, but it can still be a stored key
+        names.push(String(domain).trim().toLowerCase());
+      }
+    }
+
+    const results = await this.store.remove(names);
+    const watched = await this.store.list();
+
+    return {
+      removed: results.filter((entry) => entry.removed).map((entry) => entry.domain),
+      not_watched: results.filter((entry) => !entry.removed).map((entry) => entry.domain),
+      total_watched: watched.length
+    };
+  }
+}
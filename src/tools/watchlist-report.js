@@ -0,0 +1,150 @@
+import { computeLifecycle } from '../lib/dates.js';
+import { sameRegistrar } from '../lib/record-diff.js';
+import { defaultWatchlistStore } from '../services/watchlist-store.js';
+
+// EPP statuses that mean the registration has lapsed and is being released
+const DELETION_STATUSES = ['redemptionPeriod', 'pendingRestore', 'pendingDelete'];
+
+function registrarOf(record) {
+  if (!record.registrar) return null;
+  return { name: record.registrar.name, iana_id: record.registrar.iana_id };
+}
+
+export class WatchlistReportTool {
+  constructor(batchTool, store = defaultWatchlistStore) {
+    this.batchTool = batchTool;
+    this.store = store;
+  }
+
+  getToolDefinition() {
+    return {
+      name: 'watchlist_report',
+      description: 'Report on the domains in the local watchlist: domains expiring within N days, domains in redemptionPeriod/pendingDelete, and domains whose registrar changed since the previous check. Refreshes each domain through the same RDAP/WHOIS lookups as domain_lookup and stores what it saw for the next report.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          within_days: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 3650,
+            description: 'List domains that expire within this many days',
+            default: 30
+          },
+          refresh: {
+            type: 'boolean',
+            description: 'If false, report from the data stored by the last refresh without doing any lookups',
+            default: true
+          },
+          cache: {
+            type: 'string',
+            enum: ['prefer', 'bypass', 'only'],
+            description: 'Cache behaviour for the refresh lookups, as for domain_lookup',
+            default: 'prefer'
+          }
+        },
+        additionalProperties: false
+      }
+    };
+  }
+
+  async execute(params) {
+    const { within_days = 30, refresh = true, cache = 'prefer' } = params;
+
+    let entries = await this.store.list();
+    const failed = [];
+
+    if (refresh && entries.length > 0) {
+      const checks = await this.refresh(entries, cache, failed);
+      await this.store.recordChecks(checks);
+      entries = await this.store.list();
+    }
+
+    const domains = entries.map((entry) => this.formatEntry(entry));
+    const expiring = domains.filter((entry) =>
+      entry.registered && entry.days_until_expiry !== null && entry.days_until_expiry <= within_days
+    ).sort((a, b) => a.days_until_expiry - b.days_until_expiry);
+    const inDeletion = domains.filter((entry) => entry.status.some((status) => DELETION_STATUSES.includes(status)));
+    const notRegistered = domains.filter((entry) => entry.registered === false);
+    // Only changes the latest check found; earlier transfers were reported by earlier reports.
+    // A domain whose refresh just failed was not checked, so its stored change is not new either.
+    const failedDomains = new Set(failed.map((entry) => entry.domain));
+    const registrarChanged = entries.filter((entry) =>
+      entry.registrar_changed_at && entry.registrar_changed_at === entry.last_checked && !failedDomains.has(entry.domain)
+    ).map((entry) => ({
+      domain: entry.domain,
+      previous_registrar: entry.previous_registrar?.name ?? null,
+      registrar: entry.registrar?.name ?? null,
+      changed_at: entry.registrar_changed_at
+    }));
+
+    return {
+      timestamp: new Date().toISOString(),
+      within_days,
+      refreshed: refresh,
+      summary: {
+        total: domains.length,
+        expiring: expiring.length,
+        in_deletion: inDeletion.length,
+        registrar_changed: registrarChanged.length,
+        not_registered: notRegistered.length,
+        failed: failed.length
+      },
+      expiring_soon: expiring,
+      in_deletion: inDeletion,
+      registrar_changed: registrarChanged,
+      not_registered: notRegistered.map((entry) => entry.domain),
+      failed,
+      domains
+    };
+  }
+
+  async refresh(entries, cache, failed) {
+    const byDomain = new Map(entries.map((entry) => [entry.domain, entry]));
+    const { results } = await this.batchTool.execute({ domains: [...byDomain.keys()], cache });
+    const checks = [];
+
+    for (const outcome of results) {
+      const checkedAt = new Date().toISOString();
+
+      if (outcome.status === 'failed') {
+        // Keep the last good data; the domain is reported from it and listed as failed
+        failed.push({ domain: outcome.domain, error: outcome.error });
+        continue;
+      }
+
+      if (outcome.status === 'not_found') {
+        checks.push({ domain: outcome.domain, checked_at: checkedAt, registered: false, registrar: null, expires: null, status: [] });
+        continue;
+      }
+
+      const record = outcome.result.record;
+      const previous = byDomain.get(outcome.domain).registrar;
+      const registrar = registrarOf(record);
+
+      checks.push({
+        domain: outcome.domain,
+        checked_at: checkedAt,
+        registered: true,
+        registrar,
+        expires: record.dates.expires,
+        status: record.status,
+        registrar_changed: Boolean(previous && registrar && !sameRegistrar(previous, registrar))
+      });
+    }
+
+    return checks;
+  }
+
+  formatEntry(entry) {
+    return {
+      domain: entry.domain,
+      note: entry.note ?? null,
+      registered: entry.registered ?? null,
+      registrar: entry.registrar?.name ?? null,
+      expires: entry.expires ?? null,
+      days_until_expiry: computeLifecycle({ expires: entry.expires }).days_until_expiry,
+      status: entry.status || [],
+      last_checked: entry.last_checked ?? null
+    };
+  }
+}
@@ -0,0 +1,182 @@
+import { createServer } from 'node:http';
+import { randomUUID, timingSafeEqual } from 'node:crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendRpcError(res, status, message) {
+  sendJson(res, status, { jsonrpc: '2.0', error: { code: -32000, message }, id: null });
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(size > 0 ? JSON.parse(Buffer.concat(chunks).toString('utf-8')) : undefined);
+      } catch {
+        reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function isAuthorized(req, token) {
+  if (!token) return true;
+
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+// Serves MCP over Streamable HTTP (/mcp) and the older HTTP+SSE transport
+// (GET /sse with POST /messages). createSession() returns a fresh
+// { server, close } for every client session.
+export async function startHttpServer(createSession, { host, port, token }) {
+  // session id -> { transport, session }
+  const streamable = new Map();
+  const sse = new Map();
+
+  async function handleStreamable(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+    let entry = sessionId ? streamable.get(sessionId) : null;
+
+    if (sessionId && !entry) {
+      sendRpcError(res, 404, 'Session not found');
+      return;
+    }
+
+    if (!entry) {
+      if (req.method !== 'POST' || !isInitializeRequest(body)) {
+        sendRpcError(res, 400, 'No session: send an initialize request first');
+        return;
+      }
+
+      const session = createSession();
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => {
+          streamable.set(id, entry);
+        }
+      });
+      transport.onclose = () => {
+        if (transport.sessionId) streamable.delete(transport.sessionId);
+        session.close().catch(() => {});
+      };
+
+      entry = { transport, session };
+      await session.server.connect(transport);
+    }
+
+    await entry.transport.handleRequest(req, res, body);
+  }
+
+  async function handleSseStream(req, res) {
+    const session = createSession();
+    const transport = new SSEServerTransport('/messages', res);
+
+    sse.set(transport.sessionId, { transport, session });
+    res.on('close', () => {
+      sse.delete(transport.sessionId);
+      session.close().catch(() => {});
+    });
+
+    await session.server.connect(transport);
+  }
+
+  async function handleSseMessage(req, res, url) {
+    const entry = sse.get(url.searchParams.get('sessionId'));
+    if (!entry) {
+      sendRpcError(res, 404, 'Session not found');
+      return;
+    }
+
+    await entry.transport.handlePostMessage(req, res, await readJsonBody(req));
+  }
+
+  const httpServer = createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      const authorized = isAuthorized(req, token);
+
+      // Health checks need no token, but only authorized callers learn about sessions
+      if (url.pathname === '/health' && req.method === 'GET') {
+        sendJson(res, 200, authorized ? { status: 'ok', sessions: streamable.size + sse.size } : { status: 'ok' });
+        return;
+      }
+
+      if (!authorized) {
+        sendJson(res, 401, { error: 'Unauthorized' }, { 'WWW-Authenticate': 'Bearer realm="domaindetails-mcp"' });
+        return;
+      }
+
+      if (url.pathname === '/mcp' && ['GET', 'POST', 'DELETE'].includes(req.method)) {
+        await handleStreamable(req, res);
+      } else if (url.pathname === '/sse' && req.method === 'GET') {
+        await handleSseStream(req, res);
+      } else if (url.pathname === '/messages' && req.method === 'POST') {
+        await handleSseMessage(req, res, url);
+      } else {
+        sendJson(res, 404, { error: 'Not found' });
+      }
+    } catch (error) {
+      console.error(`HTTP request ${req.method} ${url.pathname} failed:`, error);
+      if (!res.headersSent) {
+        sendRpcError(res, error.status || 500, error.status ? error.message : 'Internal server error');
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  return {
+    address: httpServer.address(),
+
+    // Stop accepting connections, then end every open session (which also ends SSE streams)
+    async close() {
+      const closed = new Promise((resolve) => httpServer.close(resolve));
+      const entries = [...streamable.values(), ...sse.values()];
+      streamable.clear();
+      sse.clear();
+
+      await Promise.allSettled(entries.map(async ({ transport, session }) => {
+        await transport.close();
+        await session.close();
+      }));
+      httpServer.closeIdleConnections();
+      await closed;
+    }
+  };
+}
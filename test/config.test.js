@@ -0,0 +1,209 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { ConfigError, loadConfig, parseCommandLine, selectTools } from '../src/lib/config.js';
+
+async function tempDir(t) {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'config-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// An empty config directory keeps the user's own config file out of the tests
+async function emptyEnv(t, env = {}) {
+  return { XDG_CONFIG_HOME: await tempDir(t), ...env };
+}
+
+function problemsOf(fn) {
+  try {
+    fn();
+  } catch (error) {
+    assert.ok(error instanceof ConfigError, `expected a ConfigError, got ${error}`);
+    return error.problems;
+  }
+  assert.fail('expected a ConfigError');
+}
+
+test('defaults apply when nothing is configured', async (t) => {
+  const config = loadConfig({ env: await emptyEnv(t) });
+
+  assert.equal(config.file, null);
+  assert.deepEqual(config.sources, ['rdap', 'whois-direct', 'domaindetails-api']);
+  assert.equal(config.rdap.timeout_ms, 10000);
+  assert.equal(config.cache.lookup_dir, null);
+  assert.equal(config.cache.ttl, 60 * 60 * 1000);
+  assert.equal(config.cache.negative_ttl, 5 * 60 * 1000);
+  assert.equal(config.cache.stale_ttl, 24 * 60 * 60 * 1000);
+  assert.equal(config.snapshots.enabled, false);
+  assert.equal(config.tools.enabled, null);
+  assert.equal(config.transport, 'stdio');
+  assert.equal(config.http.port, 3000);
+});
+
+test('the command line overrides the environment, which overrides the config file', async (t) => {
+  const dir = await tempDir(t);
+  const file = path.join(dir, 'config.yaml');
+  await writeFile(file, [
+    'http:',
+    '  host: file.example',
+    '  port: 1111',
+    'rdap:',
+    '  timeout_ms: 1000',
+    'whois:',
+    '  timeout_ms: 2000'
+  ].join('\n'));
+
+  const config = loadConfig({
+    cli: { config: file, port: '3333' },
+    env: await emptyEnv(t, { DOMAINDETAILS_HTTP_PORT: '2222', DOMAINDETAILS_RDAP_TIMEOUT_MS: '1500' })
+  });
+
+  assert.equal(config.file, file);
+  assert.equal(config.http.host, 'file.example');
+  assert.equal(config.http.port, 3333);
+  assert.equal(config.rdap.timeout_ms, 1500);
+  assert.equal(config.whois.timeout_ms, 2000);
+});
+
+test('the config file is found through DOMAINDETAILS_CONFIG or the default directory', async (t) => {
+  const dir = await tempDir(t);
+  const explicit = path.join(dir, 'settings.json');
+  await writeFile(explicit, JSON.stringify({ user_agent: 'explicit' }));
+  assert.equal(loadConfig({ env: await emptyEnv(t, { DOMAINDETAILS_CONFIG: explicit }) }).user_agent, 'explicit');
+
+  const xdg = await tempDir(t);
+  const defaultFile = path.join(xdg, 'domaindetails-mcp', 'config.yml');
+  await mkdir(path.dirname(defaultFile));
+  await writeFile(defaultFile, 'user_agent: from-default-dir\n');
+
+  const config = loadConfig({ env: { XDG_CONFIG_HOME: xdg } });
+  assert.equal(config.file, defaultFile);
+  assert.equal(config.user_agent, 'from-default-dir');
+});
+
+test('environment strings are converted to the type of each setting', async (t) => {
+  const config = loadConfig({
+    env: await emptyEnv(t, {
+      DOMAINDETAILS_SOURCES: 'whois-direct, rdap',
+      DOMAINDETAILS_WHOIS_TIMEOUT_MS: '2500',
+      DOMAINDETAILS_CACHE_TTL: '60000',
+      DOMAINDETAILS_SNAPSHOTS: 'yes',
+      DOMAINDETAILS_TOOLS: 'domain_lookup, dns_lookup,',
+      DOMAINDETAILS_WHOIS_SERVERS: '.Example=WHOIS.nic.example,test=localhost:4343',
+      DOMAINDETAILS_RDAP_SERVERS: 'example=https://rdap.nic.example/v1',
+      DOMAINDETAILS_WHOIS_API_URLS: '',
+      DOMAINDETAILS_LOOKUP_CACHE_DIR: 'relative/cache'
+    })
+  });
+
+  // Sources keep their canonical order
+  assert.deepEqual(config.sources, ['rdap', 'whois-direct']);
+  assert.equal(config.whois.timeout_ms, 2500);
+  assert.equal(config.cache.ttl, 60000);
+  assert.equal(config.snapshots.enabled, true);
+  assert.deepEqual(config.tools.enabled, ['domain_lookup', 'dns_lookup']);
+  assert.deepEqual(config.whois.servers, { example: 'whois.nic.example', test: 'localhost:4343' });
+  assert.deepEqual(config.rdap.servers, { example: 'https://rdap.nic.example/v1/' });
+  // An empty list is "none" rather than "unset"
+  assert.deepEqual(config.whois.api_urls, []);
+  assert.equal(config.cache.lookup_dir, path.resolve('relative/cache'));
+});
+
+test('config files may use native types, and relative paths are relative to the file', async (t) => {
+  const dir = await tempDir(t);
+  const file = path.join(dir, 'config.json');
+  await writeFile(file, JSON.stringify({
+    snapshots: { enabled: true, dir: 'snapshots' },
+    cache: { stale_ttl: 1000 },
+    tools: { disabled: ['rdap_search'] },
+    whois: { servers: { example: 'whois.nic.example:4343' } }
+  }));
+
+  const config = loadConfig({ cli: { config: file }, env: await emptyEnv(t) });
+
+  assert.equal(config.snapshots.enabled, true);
+  assert.equal(config.snapshots.dir, path.join(dir, 'snapshots'));
+  assert.equal(config.cache.stale_ttl, 1000);
+  assert.deepEqual(config.tools.disabled, ['rdap_search']);
+  assert.deepEqual(config.whois.servers, { example: 'whois.nic.example:4343' });
+});
+
+test('--http selects the HTTP transport', async (t) => {
+  assert.equal(loadConfig({ cli: { http: true }, env: await emptyEnv(t) }).transport, 'http');
+});
+
+test('every problem is reported in one ConfigError', async (t) => {
+  const dir = await tempDir(t);
+  const file = path.join(dir, 'config.yaml');
+  await writeFile(file, 'rdap:\n  timeout: 5\nwhois:\n  timeout_ms: soon\n');
+
+  const problems = problemsOf(() => loadConfig({
+    cli: { config: file, port: '70000' },
+    env: {
+      XDG_CONFIG_HOME: dir,
+      DOMAINDETAILS_SOURCES: 'rdap,whois-proxy',
+      DOMAINDETAILS_CACHE_NEGATIVE_TTL: '-1',
+      DOMAINDETAILS_SNAPSHOTS: 'maybe',
+      DOMAINDETAILS_TRANSPORT: 'websocket',
+      DOMAINDETAILS_WHOIS_API_URLS: 'ftp://example.com',
+      DOMAINDETAILS_WHOIS_SERVERS: 'example',
+      DOMAINDETAILS_RDAP_TIMEOUT: '5'
+    }
+  }));
+
+  assert.deepEqual(problems, [
+    'unknown environment variable DOMAINDETAILS_RDAP_TIMEOUT',
+    `unknown setting "rdap.timeout" in ${file}`,
+    'DOMAINDETAILS_SOURCES: unknown source(s) whois-proxy (expected rdap, whois-direct, domaindetails-api)',
+    `"whois.timeout_ms" in ${file}: expected a whole number of milliseconds`,
+    'DOMAINDETAILS_WHOIS_SERVERS: "example" is not tld=server',
+    'DOMAINDETAILS_WHOIS_API_URLS: "ftp://example.com" is not an http or https URL',
+    'DOMAINDETAILS_CACHE_NEGATIVE_TTL: expected a whole number of milliseconds',
+    'DOMAINDETAILS_SNAPSHOTS: expected true or false',
+    'DOMAINDETAILS_TRANSPORT: expected stdio or http',
+    '--port: expected a port number from 0 to 65535'
+  ]);
+});
+
+test('unreadable and malformed config files are reported', async (t) => {
+  const dir = await tempDir(t);
+  const env = await emptyEnv(t);
+
+  const [missing] = problemsOf(() => loadConfig({ cli: { config: path.join(dir, 'missing.yaml') }, env }));
+  assert.match(missing, /^cannot read config file .*missing\.yaml/);
+
+  const broken = path.join(dir, 'broken.json');
+  await writeFile(broken, '{ "rdap": ');
+  assert.match(problemsOf(() => loadConfig({ cli: { config: broken }, env }))[0], /^cannot parse config file /);
+
+  const list = path.join(dir, 'list.yaml');
+  await writeFile(list, '- rdap\n');
+  assert.deepEqual(problemsOf(() => loadConfig({ cli: { config: list }, env })), [
+    `config file ${list} must contain a mapping of settings`
+  ]);
+});
+
+test('command line flags are parsed strictly', () => {
+  assert.deepEqual({ ...parseCommandLine(['--http', '--port', '8080', '--config=/etc/dd.yaml']) }, {
+    http: true,
+    port: '8080',
+    config: '/etc/dd.yaml'
+  });
+
+  assert.deepEqual(problemsOf(() => parseCommandLine(['--prot', '8080'])), [
+    "Unknown option '--prot' (options: --config, --http, --transport, --host, --port)"
+  ]);
+  assert.match(problemsOf(() => parseCommandLine(['--port']))[0], /--port/);
+  assert.match(problemsOf(() => parseCommandLine(['stdio']))[0], /Unexpected argument 'stdio'/);
+});
+
+test('tool selection rejects unknown tool names', () => {
+  const tools = ['domain_lookup', 'dns_lookup', 'rdap_search'].map((name) => ({ getToolDefinition: () => ({ name }) }));
+  const names = (selected) => selected.map((tool) => tool.getToolDefinition().name);
+
+  assert.deepEqual(names(selectTools(tools, { enabled: null, disabled: ['rdap_search'] })), ['domain_lookup', 'dns_lookup']);
+  assert.deepEqual(names(selectTools(tools, { enabled: ['dns_lookup'], disabled: [] })), ['dns_lookup']);
+  assert.match(problemsOf(() => selectTools(tools, { enabled: ['dns_lokup'], disabled: [] }))[0], /^unknown tool\(s\) dns_lokup /);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeLifecycle, parseRegistryDate } from '../src/lib/dates.js';
+
+const DATE_CASES = [
+  // ISO 8601 and its space-separated variants
+  ['2024-01-02', '2024-01-02T00:00:00Z'],
+  ['2024-01-02T03:04:05', '2024-01-02T03:04:05Z'],
+  ['2024-01-02 03:04:05.123', '2024-01-02T03:04:05Z'],
+  ['2024-01-02T03:04:05Z', '2024-01-02T03:04:05Z'],
+  ['2024-01-02T03:04:05+01:00', '2024-01-02T02:04:05Z'],
+  ['2024-01-02T03:04:05.5-0500', '2024-01-02T08:04:05Z'],
+  // Year first with slashes or dots, including the Korean "2024. 01. 02."
+  ['2024/01/02', '2024-01-02T00:00:00Z'],
+  ['1999.03.26 13:00:00', '1999-03-26T13:00:00Z'],
+  ['2024. 01. 02.', '2024-01-02T00:00:00Z'],
+  // Japanese
+  ['2024年01月02日', '2024-01-02T00:00:00Z'],
+  ['2024年1月2日 10:00:00', '2024-01-02T10:00:00Z'],
+  // Compact
+  ['20240102', '2024-01-02T00:00:00Z'],
+  ['20240102 10:00:00', '2024-01-02T10:00:00Z'],
+  // Day and month name
+  ['26-Nov-1996', '1996-11-26T00:00:00Z'],
+  ['02 Jan 2024 03:04:05', '2024-01-02T03:04:05Z'],
+  ['2-January-2024', '2024-01-02T00:00:00Z'],
+  // Month name first
+  ['Jan 02 2024', '2024-01-02T00:00:00Z'],
+  ['January 2, 2024', '2024-01-02T00:00:00Z'],
+  // asctime and Java Date.toString, with the zone in the middle
+  ['Tue Jan 02 03:04:05 2024', '2024-01-02T03:04:05Z'],
+  ['Tue Jan 02 03:04:05 GMT 2024', '2024-01-02T03:04:05Z'],
+  ['Tue Jan 02 03:04:05 EET 2024', '2024-01-02T01:04:05Z'],
+  // Day first, as European registries print them
+  ['15.03.2001 12:00:00', '2001-03-15T12:00:00Z'],
+  ['02-01-2024', '2024-01-02T00:00:00Z'],
+  ['02/01/2024 10:00:00', '2024-01-02T10:00:00Z'],
+  ['01-01-2000', '2000-01-01T00:00:00Z'],
+  // Zone abbreviations
+  ['2024-01-02 03:04:05 (JST)', '2024-01-01T18:04:05Z'],
+  ['2024-01-02 03:04:05 KST', '2024-01-01T18:04:05Z'],
+  ['2024-01-02 03:04:05 CEST', '2024-01-02T01:04:05Z'],
+  ['2024-01-02 03:04:05 PDT', '2024-01-02T10:04:05Z'],
+  // Numeric offsets
+  ['2024-01-02 03:04:05 +0800', '2024-01-01T19:04:05Z'],
+  ['2024-01-02 03:04:05 UTC+8', '2024-01-01T19:04:05Z'],
+  ['2024-01-02 03:04:05 (UTC+8)', '2024-01-01T19:04:05Z'],
+  ['2024-01-02 03:04:05 UTC+08:00', '2024-01-01T19:04:05Z'],
+  ['2024-01-02 03:04:05 GMT-5', '2024-01-02T08:04:05Z'],
+  ['2024-01-02 03:04:05 UTC+0530', '2024-01-01T21:34:05Z'],
+  // Leap days are kept, rollovers are rejected
+  ['2024-02-29', '2024-02-29T00:00:00Z'],
+  ['2023-02-29', null],
+  ['31.02.2024', null],
+  ['2024-13-01', null],
+  // Not dates
+  ['not a date', null],
+  ['', null],
+  [null, null],
+  [undefined, null]
+];
+
+for (const [input, expected] of DATE_CASES) {
+  test(`parses ${JSON.stringify(input)}`, () => {
+    assert.equal(parseRegistryDate(input), expected);
+  });
+}
+
+test('Date objects are formatted in whole seconds', () => {
+  assert.equal(parseRegistryDate(new Date('2024-01-02T03:04:05.678Z')), '2024-01-02T03:04:05Z');
+  assert.equal(parseRegistryDate(new Date('invalid')), null);
+});
+
+test('lifecycle counts whole days from registry dates', () => {
+  const now = Date.parse('2024-06-15T12:00:00Z');
+
+  assert.deepEqual(computeLifecycle({ created: '15-Jun-2020', expires: '2024-06-20 00:00:00 UTC+8' }, now), {
+    domain_age_days: 1461,
+    days_until_expiry: 4
+  });
+  assert.deepEqual(computeLifecycle({ expires: '2024-06-01' }, now), {
+    domain_age_days: null,
+    days_until_expiry: -15
+  });
+});
@@ -0,0 +1,249 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import dgram from 'node:dgram';
+import net from 'node:net';
+import { queryRaw } from '../src/lib/dns-wire.js';
+import { DnsClient } from '../src/lib/dns.js';
+
+// Answers recorded from a DNS server, one per record type, as hex-encoded messages
+const ANSWERS = JSON.parse(readFileSync(new URL('./fixtures/dns/answers.json', import.meta.url), 'utf-8'));
+
+function answer(type) {
+  return Buffer.from(ANSWERS[type], 'hex');
+}
+
+// The reply must carry the id of the query it answers
+function withId(query, message) {
+  const reply = Buffer.from(message);
+  query.copy(reply, 0, 0, 2);
+  return reply;
+}
+
+// Local DNS server answering over UDP and TCP on the same port
+async function startServer(t, { udp, tcp }) {
+  const tcpServer = net.createServer((socket) => {
+    socket.once('data', (data) => tcp(data.subarray(2), socket));
+  });
+  await new Promise((resolve) => tcpServer.listen(0, '127.0.0.1', resolve));
+  const { port } = tcpServer.address();
+
+  const udpServer = dgram.createSocket('udp4');
+  udpServer.on('message', (query, remote) => {
+    const reply = udp(query);
+    if (reply) udpServer.send(reply, remote.port, remote.address);
+  });
+  await new Promise((resolve) => udpServer.bind(port, '127.0.0.1', resolve));
+
+  t.after(() => {
+    tcpServer.close();
+    udpServer.close();
+  });
+
+  return `127.0.0.1:${port}`;
+}
+
+function replying(message) {
+  return {
+    udp: (query) => withId(query, message),
+    tcp: (query, socket) => socket.end()
+  };
+}
+
+const RECORD_CASES = [
+  {
+    type: 'MX',
+    records: [
+      { priority: 10, exchange: 'mx1.example.com', ttl: 3600 },
+      { priority: 20, exchange: 'mx2.example.com', ttl: 3600 }
+    ]
+  },
+  {
+    type: 'NS',
+    records: [
+      { value: 'a.iana-servers.net', ttl: 86400 },
+      { value: 'b.iana-servers.net', ttl: 86400 }
+    ]
+  },
+  {
+    // Character strings of one record are joined
+    type: 'TXT',
+    records: [
+      { value: 'v=spf1 -all', ttl: 300 },
+      { value: 'part one part two', ttl: 300 }
+    ]
+  },
+  {
+    type: 'SOA',
+    records: [{
+      primaryNameserver: 'ns.icann.org',
+      hostmaster: 'noc.dns.icann.org',
+      serial: 2024081401,
+      refresh: 7200,
+      retry: 3600,
+      expire: 1209600,
+      minimumTtl: 3600,
+      ttl: 3600
+    }]
+  },
+  {
+    type: 'CAA',
+    records: [
+      { flags: 128, tag: 'iodef', value: 'mailto:security@example.com', ttl: 600 },
+      { flags: 0, tag: 'issue', value: 'letsencrypt.org', ttl: 600 }
+    ]
+  },
+  {
+    name: 'www.example.com',
+    type: 'CNAME',
+    records: [{ value: 'example.com', ttl: 120 }]
+  },
+  {
+    name: '_sip._tcp.example.com',
+    type: 'SRV',
+    records: [{ priority: 10, weight: 5, port: 5060, target: 'sip.example.com', ttl: 60 }]
+  },
+  {
+    type: 'DS',
+    records: [{
+      keyTag: 370,
+      algorithm: 13,
+      digestType: 2,
+      digest: 'BE74359954660069D5C63D200C39F5603827D7DD02B56F120EE9F3A86764247C',
+      ttl: 86400
+    }]
+  },
+  {
+    type: 'DNSKEY',
+    records: [{
+      flags: 257,
+      protocol: 3,
+      algorithm: 13,
+      publicKey: 'mdsswUyr3DPW132mOi8V9xESWE8jTo0dxCjjnopKl+GqJxpVXckHAeF+KkxLbxILfDLUT0rAK9iUzy1L53eKGQ==',
+      ttl: 3600
+    }]
+  }
+];
+
+for (const { name = 'example.com', type, records } of RECORD_CASES) {
+  test(`parses ${type} answers`, async (t) => {
+    const server = await startServer(t, replying(answer(type)));
+
+    assert.deepEqual(await queryRaw(server, name, type), records);
+  });
+}
+
+test('NXDOMAIN answers are reported as ENOTFOUND', async (t) => {
+  const server = await startServer(t, replying(answer('NXDOMAIN')));
+
+  await assert.rejects(queryRaw(server, 'missing.example.com', 'TXT'), { code: 'ENOTFOUND' });
+});
+
+test('truncated UDP answers are retried over TCP', async (t) => {
+  const full = answer('TXT');
+  const server = await startServer(t, {
+    // Header only, with the TC bit set
+    udp: (query) => {
+      const reply = withId(query, full.subarray(0, 12));
+      reply.writeUInt16BE(reply.readUInt16BE(2) | 0x0200, 2);
+      reply.writeUInt16BE(0, 6);
+      reply.writeUInt16BE(0, 10);
+      return reply;
+    },
+    // Length-prefixed answer, split across two writes
+    tcp: (query, socket) => {
+      const reply = withId(query, full);
+      const framed = Buffer.concat([Buffer.from([reply.length >> 8, reply.length & 0xff]), reply]);
+      socket.write(framed.subarray(0, 20));
+      setTimeout(() => socket.end(framed.subarray(20)), 10);
+    }
+  });
+
+  const records = await queryRaw(server, 'example.com', 'TXT');
+  assert.deepEqual(records.map((record) => record.value), ['v=spf1 -all', 'part one part two']);
+});
+
+test('a TCP connection closed before a full answer fails without waiting for the timeout', async (t) => {
+  const server = await startServer(t, {
+    udp: (query) => {
+      const reply = withId(query, answer('TXT').subarray(0, 12));
+      reply.writeUInt16BE(reply.readUInt16BE(2) | 0x0200, 2);
+      return reply;
+    },
+    tcp: (query, socket) => socket.end(Buffer.from([0x01, 0x00, 0x12]))
+  });
+
+  const started = Date.now();
+  await assert.rejects(queryRaw(server, 'example.com', 'TXT', { timeout: 5000 }), { code: 'ECONNRESET' });
+  assert.ok(Date.now() - started < 2000);
+});
+
+test('unanswered queries time out', async (t) => {
+  const server = await startServer(t, { udp: () => null, tcp: (query, socket) => socket.end() });
+
+  await assert.rejects(queryRaw(server, 'example.com', 'TXT', { timeout: 100 }), { code: 'ETIMEOUT' });
+});
+
+// Damaged copies of the recorded answers
+const MALFORMED_CASES = [
+  {
+    description: 'a message shorter than the header',
+    message: () => answer('MX').subarray(0, 8)
+  },
+  {
+    description: 'a message cut off inside a record',
+    message: () => answer('MX').subarray(0, 50)
+  },
+  {
+    description: 'more answers announced than present',
+    message: () => {
+      const message = Buffer.from(answer('MX'));
+      message.writeUInt16BE(5, 6);
+      return message.subarray(0, message.length - 11);
+    }
+  },
+  {
+    description: 'a compression pointer that points at itself',
+    message: () => {
+      // The first exchange name is "mx1" followed by a pointer; aim that pointer at itself
+      const message = Buffer.from(answer('MX'));
+      const pointer = message.indexOf(Buffer.from('036d7831', 'hex')) + 4;
+      message.writeUInt16BE(0xc000 | pointer, pointer);
+      return message;
+    }
+  },
+  {
+    description: 'a record length too short for its type',
+    message: () => {
+      const message = Buffer.from(answer('DS'));
+      const rdlength = message.indexOf(Buffer.from('0024', 'hex'), 29);
+      message.writeUInt16BE(2, rdlength);
+      message.writeUInt16BE(0, 10);
+      return message.subarray(0, rdlength + 4);
+    },
+    type: 'DS'
+  }
+];
+
+for (const { description, message, type = 'MX' } of MALFORMED_CASES) {
+  test(`rejects ${description} as EBADRESP`, async (t) => {
+    const server = await startServer(t, replying(message()));
+
+    await assert.rejects(queryRaw(server, 'example.com', type, { timeout: 1000 }), { code: 'EBADRESP' });
+  });
+}
+
+test('dns_lookup sorts MX records and reports malformed answers per type', async (t) => {
+  const server = await startServer(t, {
+    udp: (query) => {
+      const type = query.readUInt16BE(query.length - 15);
+      return withId(query, type === 15 ? answer('MX') : answer('TXT').subarray(0, 50));
+    },
+    tcp: (query, socket) => socket.end()
+  });
+
+  const result = await new DnsClient().lookup('example.com', ['MX', 'TXT'], { resolver: server });
+
+  assert.deepEqual(result.records.MX.map((record) => record.priority), [10, 20]);
+  assert.match(result.errors.TXT, /^EBADRESP: /);
+});
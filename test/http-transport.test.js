@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { startHttpServer } from '../src/transports/http.js';
+
+const TOKEN = 'test-token';
+const AUTH = { Authorization: `Bearer ${TOKEN}` };
+
+// Sessions shaped like the ones src/index.js creates, recording which are still open
+async function startServer(t, { token = TOKEN } = {}) {
+  const open = new Set();
+  const createSession = () => {
+    const server = new Server({ name: 'test', version: '1.0.0' }, { capabilities: { tools: {} } });
+    const session = {
+      server,
+      close: async () => {
+        if (!open.has(session)) return;
+        open.delete(session);
+        await server.close();
+      }
+    };
+    open.add(session);
+    return session;
+  };
+
+  const httpServer = await startHttpServer(createSession, { host: '127.0.0.1', port: 0, token });
+  t.after(() => httpServer.close());
+
+  return { httpServer, open, baseUrl: `http://127.0.0.1:${httpServer.address.port}` };
+}
+
+async function until(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.ok(condition());
+}
+
+test('/health reports the session count only to authorized callers', async (t) => {
+  const { baseUrl } = await startServer(t);
+
+  const anonymous = await fetch(`${baseUrl}/health`);
+  assert.equal(anonymous.status, 200);
+  assert.deepEqual(await anonymous.json(), { status: 'ok' });
+
+  const wrongToken = await fetch(`${baseUrl}/health`, { headers: { Authorization: 'Bearer wrong-token' } });
+  assert.deepEqual(await wrongToken.json(), { status: 'ok' });
+
+  const authorized = await fetch(`${baseUrl}/health`, { headers: AUTH });
+  assert.deepEqual(await authorized.json(), { status: 'ok', sessions: 0 });
+});
+
+test('MCP endpoints reject missing and wrong bearer tokens', async (t) => {
+  const { baseUrl, open } = await startServer(t);
+  const initialize = JSON.stringify({
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'initialize',
+    params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+  });
+
+  for (const headers of [{}, { Authorization: 'Bearer wrong-token' }, { Authorization: 'Bearer test-tokeN' }, { Authorization: TOKEN }]) {
+    for (const [method, path, body] of [['POST', '/mcp', initialize], ['GET', '/sse'], ['POST', '/messages?sessionId=x', '{}']]) {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        body,
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers }
+      });
+
+      assert.equal(response.status, 401, `${method} ${path} with ${JSON.stringify(headers)}`);
+      assert.match(response.headers.get('www-authenticate'), /^Bearer /);
+      await response.body?.cancel();
+    }
+  }
+
+  assert.equal(open.size, 0);
+});
+
+test('every request is allowed when no token is configured', async (t) => {
+  const { baseUrl } = await startServer(t, { token: null });
+
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  await client.connect(new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`)));
+  t.after(() => client.close());
+
+  assert.deepEqual(await (await fetch(`${baseUrl}/health`)).json(), { status: 'ok', sessions: 1 });
+});
+
+test('a Streamable HTTP session is closed when the client ends it', async (t) => {
+  const { baseUrl, open } = await startServer(t);
+
+  const transport = new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`), { requestInit: { headers: AUTH } });
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  await client.connect(transport);
+
+  assert.equal(open.size, 1);
+  await client.ping();
+  assert.deepEqual(await (await fetch(`${baseUrl}/health`, { headers: AUTH })).json(), { status: 'ok', sessions: 1 });
+
+  const sessionId = transport.sessionId;
+  await transport.terminateSession();
+  await client.close();
+  await until(() => open.size === 0);
+
+  // The session id is forgotten with it
+  const stale = await fetch(`${baseUrl}/mcp`, {
+    method: 'POST',
+    headers: { ...AUTH, 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', 'Mcp-Session-Id': sessionId },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' })
+  });
+  assert.equal(stale.status, 404);
+  assert.deepEqual(await (await fetch(`${baseUrl}/health`, { headers: AUTH })).json(), { status: 'ok', sessions: 0 });
+});
+
+test('an SSE session is closed when its stream disconnects', async (t) => {
+  const { baseUrl, open } = await startServer(t);
+
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  await client.connect(new SSEClientTransport(new URL(`${baseUrl}/sse`), {
+    eventSourceInit: { fetch: (url, init) => fetch(url, { ...init, headers: { ...init?.headers, ...AUTH } }) },
+    requestInit: { headers: AUTH }
+  }));
+
+  assert.equal(open.size, 1);
+  await client.ping();
+
+  await client.close();
+  await until(() => open.size === 0);
+});
+
+test('closing the HTTP server closes every open session', async (t) => {
+  const { httpServer, baseUrl, open } = await startServer(t);
+
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  await client.connect(new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`), { requestInit: { headers: AUTH } }));
+  t.after(() => client.close());
+  assert.equal(open.size, 1);
+
+  await httpServer.close();
+  assert.equal(open.size, 0);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateLookalikes } from '../src/lib/lookalikes.js';
+
+function generate(domain, options) {
+  const [label, ...suffix] = domain.split('.');
+  return generateLookalikes({ label, suffix: suffix.join('.'), ascii: domain }, options);
+}
+
+const domains = (variants) => variants.map((variant) => variant.domain).sort();
+
+test('each kind produces its own variants', () => {
+  const cases = [
+    ['omission', 'abc.com', {}, ['ab.com', 'ac.com', 'bc.com']],
+    // Swapping equal neighbours would give back the original
+    ['transposition', 'aab.com', {}, ['aba.com']],
+    ['hyphenation', 'abc.com', {}, ['a-bc.com', 'ab-c.com']],
+    ['hyphenation', 'a-bc.com', {}, ['a-b-c.com']],
+    ['tld_swap', 'abc.com', { tlds: ['net', 'com', 'co.uk'] }, ['abc.co.uk', 'abc.net']],
+    ['dictionary', 'abc.com', { words: ['login'] }, ['abc-login.com', 'abclogin.com', 'login-abc.com', 'loginabc.com']],
+    ['bitsquatting', 'a.com', {}, ['c.com', 'e.com', 'i.com', 'q.com']],
+    ['homoglyph', 'a1.com', {}, ['al.com', 'xn--1-7sb.com', 'xn--1-ylb.com']]
+  ];
+
+  for (const [kind, domain, options, expected] of cases) {
+    const variants = generate(domain, { kinds: [kind], ...options });
+    assert.deepEqual(domains(variants), expected.sort(), `${kind} of ${domain}`);
+    assert.ok(variants.every((variant) => variant.kinds.length === 1 && variant.kinds[0] === kind));
+  }
+});
+
+test('a variant produced more than once is listed once, with each kind once', () => {
+  // Dropping either "o" of google gives the same name
+  const omissions = generate('google.com', { kinds: ['omission'] }).filter((variant) => variant.domain === 'gogle.com');
+  assert.deepEqual(omissions, [{ domain: 'gogle.com', unicode: null, kinds: ['omission'] }]);
+
+  // The Cyrillic spelling of a one-letter label is both a per-letter and a whole-script homoglyph
+  assert.equal(generate('a.com', { kinds: ['homoglyph'] }).filter((variant) => variant.unicode === '\u0430.com').length, 1);
+
+  assert.deepEqual(domains(generate('abc.com', { kinds: ['tld_swap'], tlds: ['net', 'net'] })), ['abc.net']);
+
+  for (const domain of ['google.com', 'paypal.co.uk', 'mill.io']) {
+    const variants = generate(domain);
+    assert.equal(new Set(domains(variants)).size, variants.length, domain);
+    for (const variant of variants) {
+      assert.equal(new Set(variant.kinds).size, variant.kinds.length, variant.domain);
+    }
+  }
+});
+
+test('whole-script homoglyphs spell every letter in one script', () => {
+  const variants = generate('apple.com', { kinds: ['homoglyph'] });
+  const cyrillic = variants.filter((variant) => /^\p{Script=Cyrillic}+\.com$/u.test(variant.unicode));
+
+  assert.equal(cyrillic.length, 1);
+  assert.equal(cyrillic[0].unicode, '\u0430\u0440\u0440\u04cf\u0435.com');
+  assert.match(cyrillic[0].domain, /^xn--[a-z0-9-]+\.com$/);
+
+  // A letter without a Cyrillic lookalike rules the whole-script spelling out
+  assert.ok(!generate('tux.com', { kinds: ['homoglyph'] }).some((variant) => /^\p{Script=Cyrillic}+\.com$/u.test(variant.unicode)));
+});
+
+test('bitsquats keep only flips that spell a hostname', () => {
+  // m flips to "-", which may not start a label; other flips give uppercase letters or symbols
+  assert.deepEqual(domains(generate('mb.com', { kinds: ['bitsquatting'] })), [
+    'eb.com', 'ib.com', 'lb.com', 'mc.com', 'mf.com', 'mj.com', 'mr.com', 'ob.com'
+  ]);
+
+  const original = 'example';
+  for (const { domain } of generate(`${original}.com`, { kinds: ['bitsquatting'] })) {
+    const [label] = domain.split('.');
+    assert.match(label, /^[a-z0-9-]+$/);
+    const changed = [...label].filter((char, i) => char !== original[i]);
+    assert.equal(changed.length, 1, domain);
+  }
+});
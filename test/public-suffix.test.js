@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PublicSuffixList, getPublicSuffixList } from '../src/services/public-suffix.js';
+
+const CASES = [
+  { domain: 'www.example.co.uk', publicSuffix: 'co.uk', registrableDomain: 'example.co.uk', subdomain: 'www' },
+  { domain: 'foo.com.cn', publicSuffix: 'com.cn', registrableDomain: 'foo.com.cn', subdomain: null },
+  { domain: 'Example.COM.', publicSuffix: 'com', registrableDomain: 'example.com', subdomain: null },
+  // *.ck makes every second-level label a suffix...
+  { domain: 'shop.example.co.ck', publicSuffix: 'co.ck', registrableDomain: 'example.co.ck', subdomain: 'shop' },
+  // ...except the names listed as exceptions (!www.ck)
+  { domain: 'a.www.ck', publicSuffix: 'ck', registrableDomain: 'www.ck', subdomain: 'a' },
+  { domain: 'foo.bar.kawasaki.jp', publicSuffix: 'bar.kawasaki.jp', registrableDomain: 'foo.bar.kawasaki.jp', subdomain: null },
+  { domain: 'www.city.kawasaki.jp', publicSuffix: 'kawasaki.jp', registrableDomain: 'city.kawasaki.jp', subdomain: 'www' },
+  // Unlisted TLDs fall back to the implicit "*" rule
+  { domain: 'a.b.notatld', publicSuffix: 'notatld', registrableDomain: 'b.notatld', subdomain: 'a' },
+  // Unicode rules are stored as A-labels
+  { domain: 'xn--80aswg.xn--p1ai', publicSuffix: 'xn--p1ai', registrableDomain: 'xn--80aswg.xn--p1ai', subdomain: null },
+  { domain: 'co.uk', publicSuffix: 'co.uk', registrableDomain: null, subdomain: null }
+];
+
+for (const { domain, ...expected } of CASES) {
+  test(`resolves the registrable domain of ${domain}`, () => {
+    const info = getPublicSuffixList().parseDomain(domain);
+
+    assert.equal(info.publicSuffix, expected.publicSuffix);
+    assert.equal(info.registrableDomain, expected.registrableDomain);
+    assert.equal(info.subdomain, expected.subdomain);
+  });
+}
+
+test('private suffixes are reported next to the ICANN registrable domain', () => {
+  const info = getPublicSuffixList().parseDomain('blog.user.github.io');
+
+  assert.equal(info.publicSuffix, 'io');
+  assert.equal(info.registrableDomain, 'github.io');
+  assert.equal(info.privateSuffix, 'github.io');
+  assert.equal(info.privateRegistrableDomain, 'user.github.io');
+});
+
+test('private wildcard rules only affect the private suffix', () => {
+  const info = getPublicSuffixList().parseDomain('host.ec2-1-2-3-4.eu-west-1.compute.amazonaws.com');
+
+  assert.equal(info.registrableDomain, 'amazonaws.com');
+  assert.equal(info.privateSuffix, 'eu-west-1.compute.amazonaws.com');
+  assert.equal(info.privateRegistrableDomain, 'ec2-1-2-3-4.eu-west-1.compute.amazonaws.com');
+});
+
+test('rules outside the ICANN and private sections are ignored', () => {
+  const list = new PublicSuffixList([
+    'example',
+    '// ===BEGIN ICANN DOMAINS===',
+    'test  trailing text is not part of the rule',
+    '*.wild.test',
+    '!keep.wild.test',
+    '// ===END ICANN DOMAINS==='
+  ].join('\n'));
+
+  assert.equal(list.parseDomain('a.b.example').publicSuffix, 'example');
+  assert.equal(list.parseDomain('a.b.example').registrableDomain, 'b.example');
+  assert.equal(list.parseDomain('x.y.wild.test').registrableDomain, 'x.y.wild.test');
+  assert.equal(list.parseDomain('x.keep.wild.test').registrableDomain, 'keep.wild.test');
+});
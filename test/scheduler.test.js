@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RequestScheduler, RetryableError } from '../src/lib/scheduler.js';
+
+function timeoutError() {
+  const error = new Error('timed out');
+  error.name = 'TimeoutError';
+  return error;
+}
+
+test('a timeout is retried once, not up to maxAttempts', async () => {
+  const scheduler = new RequestScheduler({ baseDelay: 1 });
+  let calls = 0;
+
+  await assert.rejects(scheduler.run('rdap:slow.example', async () => {
+    calls++;
+    throw timeoutError();
+  }), (error) => error.requestLog.attempts === 2);
+  assert.equal(calls, 2);
+});
+
+test('other transient failures are retried up to maxAttempts', async () => {
+  const scheduler = new RequestScheduler({ baseDelay: 1 });
+  let calls = 0;
+
+  await assert.rejects(scheduler.run('rdap:flaky.example', async () => {
+    calls++;
+    throw new RetryableError('HTTP 502', { status: 502 });
+  }));
+  assert.equal(calls, 3);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { SnapshotStore } from '../src/services/snapshot-store.js';
+
+function record(nameservers) {
+  return { domain: 'example.com', nameservers, sources: { nameservers: 'rdap' } };
+}
+
+async function createStore(t) {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'snapshots-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  return new SnapshotStore({ dir, enabled: true });
+}
+
+test('an unchanged record only moves last_seen_at', async (t) => {
+  const store = await createStore(t);
+
+  await store.add(record(['ns1.example.net']), { method: 'rdap', takenAt: '2024-01-01T00:00:00Z' });
+  await store.add(record(['ns1.example.net']), { method: 'whois', takenAt: '2024-01-02T00:00:00Z' });
+
+  const history = await store.list('example.com');
+  assert.equal(history.length, 1);
+  assert.equal(history[0].taken_at, '2024-01-01T00:00:00Z');
+  assert.equal(history[0].last_seen_at, '2024-01-02T00:00:00Z');
+});
+
+test('a changed record starts a new snapshot', async (t) => {
+  const store = await createStore(t);
+
+  await store.add(record(['ns1.example.net']), { takenAt: '2024-01-01T00:00:00Z' });
+  await store.add(record(['ns2.example.net']), { takenAt: '2024-01-02T00:00:00Z' });
+
+  const history = await store.list('example.com');
+  assert.deepEqual(history.map((snapshot) => snapshot.record.nameservers), [['ns1.example.net'], ['ns2.example.net']]);
+});
+
+test('an older cached record is not appended after a newer snapshot', async (t) => {
+  const store = await createStore(t);
+
+  // A bypass refresh finds the new nameservers...
+  await store.add(record(['ns1.example.net']), { takenAt: '2024-01-01T00:00:00Z' });
+  await store.add(record(['ns2.example.net']), { takenAt: '2024-01-03T00:00:00Z' });
+
+  // ...then a lookup under another cache key still holds what was fetched on Jan 2
+  const latest = await store.add(record(['ns1.example.net']), { takenAt: '2024-01-02T00:00:00Z' });
+
+  const history = await store.list('example.com');
+  assert.deepEqual(history.map((snapshot) => snapshot.taken_at), ['2024-01-01T00:00:00Z', '2024-01-03T00:00:00Z']);
+  assert.deepEqual(latest.record.nameservers, ['ns2.example.net']);
+
+  // Nor does an older copy of the latest record move last_seen_at backwards
+  await store.add(record(['ns2.example.net']), { takenAt: '2024-01-02T12:00:00Z' });
+  assert.equal((await store.list('example.com'))[1].last_seen_at, '2024-01-03T00:00:00Z');
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import dgram from 'node:dgram';
+import { DomainLookupTool } from '../src/tools/domain-lookup.js';
+import { DomainLookupBatchTool } from '../src/tools/domain-lookup-batch.js';
+import { AvailabilityCheckTool } from '../src/tools/availability-check.js';
+import { GenerateLookalikesTool } from '../src/tools/generate-lookalikes.js';
+import { LookupCache } from '../src/lib/cache.js';
+import { recordHost } from '../src/lib/sources.js';
+
+// A lookup tool whose registry detector and clients answer locally and record the hosts they would contact
+function stubbedLookupTool() {
+  const tool = new DomainLookupTool({ rdap: { cache: new LookupCache() }, whois: { cache: new LookupCache() } });
+  const calls = { whoisServer: 0, whoisSources: [] };
+  const detector = tool.rdapClient.registryDetector;
+
+  detector.getRdapUrl = async () => {
+    recordHost('iana', 'data.iana.org');
+    return 'https://rdap.example/';
+  };
+  detector.getWhoisServer = async () => {
+    calls.whoisServer++;
+    recordHost('iana', 'whois.iana.org');
+    return 'whois.example';
+  };
+  tool.rdapClient.lookupDomain = async (domain) => {
+    recordHost('rdap', 'rdap.example');
+    return { domain, found: false, message: 'Domain not found' };
+  };
+  tool.whoisClient.lookupDomain = async (domain, options) => {
+    calls.whoisSources.push(options.sources);
+    recordHost('whois-direct', 'whois.example');
+    return { domain, found: false, status: 'not_found', message: 'Domain not found in registry' };
+  };
+
+  return { tool, calls };
+}
+
+test('a batch limited to rdap never resolves WHOIS servers and reports the bootstrap host', async () => {
+  const { tool, calls } = stubbedLookupTool();
+  const batch = new DomainLookupBatchTool(tool);
+
+  const { results } = await batch.execute({ domains: ['one.com', 'two.com'], prefer_whois: true, sources: ['rdap'] });
+
+  assert.equal(calls.whoisServer, 0);
+  for (const { result } of results) {
+    assert.deepEqual(result.source_policy, ['rdap']);
+    assert.deepEqual(result.hosts_contacted, [
+      { host: 'data.iana.org', source: 'iana' },
+      { host: 'rdap.example', source: 'rdap' }
+    ]);
+  }
+});
+
+test('check_availability passes the sources policy to WHOIS and reports the hosts contacted', async () => {
+  const { tool, calls } = stubbedLookupTool();
+  const checker = new AvailabilityCheckTool(tool);
+
+  const { results } = await checker.execute({ domains: ['unannounced.com'], use_dns: false, sources: ['rdap', 'whois-direct'] });
+
+  assert.deepEqual(calls.whoisSources, [['rdap', 'whois-direct']]);
+  assert.equal(results[0].availability, 'available');
+  assert.deepEqual(results[0].source_policy, ['rdap', 'whois-direct']);
+  assert.deepEqual(results[0].hosts_contacted.map((entry) => entry.host), ['rdap.example', 'whois.example']);
+});
+
+test('check_availability skips the checks the sources policy rules out', async () => {
+  const { tool, calls } = stubbedLookupTool();
+  const checker = new AvailabilityCheckTool(tool);
+
+  const { results } = await checker.execute({ domains: ['unannounced.com'], use_dns: false, sources: ['rdap'] });
+
+  assert.deepEqual(calls.whoisSources, []);
+  assert.deepEqual(results[0].evidence.map((entry) => entry.source), ['rdap']);
+});
+
+test('check_availability reports the resolver of the DNS check', async (t) => {
+  // Local resolver answering every query with a recorded NS answer
+  const answer = Buffer.from(JSON.parse(readFileSync(new URL('./fixtures/dns/answers.json', import.meta.url), 'utf-8')).NS, 'hex');
+  const resolver = dgram.createSocket('udp4');
+  resolver.on('message', (query, remote) => {
+    const reply = Buffer.from(answer);
+    query.copy(reply, 0, 0, 2);
+    resolver.send(reply, remote.port, remote.address);
+  });
+  await new Promise((resolve) => resolver.bind(0, '127.0.0.1', resolve));
+  t.after(() => resolver.close());
+  const address = `127.0.0.1:${resolver.address().port}`;
+
+  const { tool } = stubbedLookupTool();
+  const checker = new AvailabilityCheckTool(tool);
+
+  const { results } = await checker.execute({ domains: ['unannounced.com'], resolver: address, sources: ['rdap'] });
+
+  assert.deepEqual(results[0].source_policy, ['rdap', 'dns']);
+  assert.deepEqual(results[0].hosts_contacted, [
+    { host: 'rdap.example', source: 'rdap' },
+    { host: address, source: 'dns' }
+  ]);
+  assert.equal(results[0].evidence.find((entry) => entry.source === 'dns').signal, 'registered');
+});
+
+test('lookalike registration checks pass through the batch without storing snapshots', async () => {
+  const { tool } = stubbedLookupTool();
+  const lookups = [];
+  const execute = tool.execute.bind(tool);
+  tool.execute = (params) => {
+    lookups.push(params);
+    return execute(params);
+  };
+  const batch = new DomainLookupBatchTool(tool);
+
+  await batch.execute({ domains: ['one.com'], sources: ['rdap'], store_snapshot: true });
+  assert.equal(lookups[0].store_snapshot, true);
+
+  lookups.length = 0;
+  const lookalikes = new GenerateLookalikesTool(batch);
+  await lookalikes.execute({ domain: 'example.com', kinds: ['omission'], check_registration: true, sources: ['rdap'] });
+
+  assert.equal(lookups.length, 7);
+  assert.ok(lookups.every((params) => params.store_snapshot === false));
+});
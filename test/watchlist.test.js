@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { WatchlistStore } from '../src/services/watchlist-store.js';
+import { WatchlistReportTool } from '../src/tools/watchlist-report.js';
+
+// Batch tool stand-in that answers every domain with the current registrar
+function fakeBatchTool(state) {
+  return {
+    async execute({ domains }) {
+      return {
+        results: domains.map((domain) => state.fail ? { domain, status: 'failed', error: { code: 'timeout' } } : {
+          domain,
+          status: 'found',
+          result: {
+            record: {
+              registrar: { name: state.registrar, iana_id: state.ianaId },
+              dates: { expires: '2030-01-01T00:00:00Z' },
+              status: ['active']
+            }
+          }
+        })
+      };
+    }
+  };
+}
+
+test('a registrar change is reported by the next report only', async (t) => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'watchlist-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+
+  const store = new WatchlistStore({ path: path.join(dir, 'watchlist.json') });
+  await store.add([{ domain: 'example.com' }]);
+
+  const state = { registrar: 'Old Registrar, Inc.', ianaId: '1' };
+  const tool = new WatchlistReportTool(fakeBatchTool(state), store);
+
+  assert.equal((await tool.execute({})).registrar_changed.length, 0);
+
+  Object.assign(state, { registrar: 'New Registrar LLC', ianaId: '2' });
+  const changed = await tool.execute({});
+  assert.deepEqual(changed.registrar_changed.map((entry) => [entry.previous_registrar, entry.registrar]), [
+    ['Old Registrar, Inc.', 'New Registrar LLC']
+  ]);
+
+  // Reading the same stored data again still shows it; a later check does not
+  assert.equal((await tool.execute({ refresh: false })).registrar_changed.length, 1);
+  assert.equal((await tool.execute({})).registrar_changed.length, 0);
+
+  // Nor does a refresh that fails after the change was reported
+  Object.assign(state, { registrar: 'Third Registrar', ianaId: '3' });
+  await tool.execute({});
+  state.fail = true;
+  assert.equal((await tool.execute({})).registrar_changed.length, 0);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyWhoisText } from '../src/lib/whois-availability.js';
+
+const CENTRALNIC_NOT_FOUND = `DOMAIN NOT FOUND
+
+>>> Last update of WHOIS database: 2025-01-21T10:30:00Z <<<
+
+The Registry may offer premium domain names at prices that differ from the
+standard registration fee. Contact your registrar for pricing.
+`;
+
+const VERISIGN_NOT_FOUND = `No match for "EXAMPLE-UNREGISTERED.COM".
+>>> Last update of whois database: 2025-01-21T10:30:00Z <<<
+
+NOTICE: The expiration date displayed in this record is the date the
+registrar's sponsorship of the domain name registration in the registry is
+currently set to expire.
+`;
+
+const PREMIUM_STATUS = `Domain Name: cars.example
+Status: premium
+`;
+
+const PREMIUM_STATEMENT = `This domain name is a premium domain and can be registered at premium pricing.
+`;
+
+const REGISTERED_WITH_PREMIUM_NOTICE = `Domain Name: EXAMPLE.COM
+Registrar: Example Registrar, Inc.
+Creation Date: 1995-08-14T04:00:00Z
+Premium names are available from this registrar.
+`;
+
+test('registry boilerplate mentioning premium names does not make a not-found answer premium', () => {
+  assert.equal(classifyWhoisText(CENTRALNIC_NOT_FOUND, 'whois.centralnic.com').status, 'not_found');
+});
+
+test('registry-specific not-found answers are recognised', () => {
+  assert.equal(classifyWhoisText(VERISIGN_NOT_FOUND, 'whois.verisign-grs.com').status, 'not_found');
+});
+
+test('a premium status field is reported as premium', () => {
+  assert.equal(classifyWhoisText(PREMIUM_STATUS, 'whois.nic.example').status, 'premium');
+});
+
+test('a statement that the queried name is premium is reported as premium', () => {
+  assert.equal(classifyWhoisText(PREMIUM_STATEMENT, 'whois.nic.example').status, 'premium');
+});
+
+test('registration records are never classified', () => {
+  assert.equal(classifyWhoisText(REGISTERED_WITH_PREMIUM_NOTICE, 'whois.verisign-grs.com'), null);
+});
@@ -0,0 +1,167 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import net from 'node:net';
+import { defaultWhoisParsers } from '../src/lib/whois-parsers/index.js';
+import { WhoisClient } from '../src/lib/whois.js';
+import { LookupCache } from '../src/lib/cache.js';
+import { RegistryDetector } from '../src/services/registry-detector.js';
+import { normalizeResult } from '../src/lib/normalize.js';
+import { computeLifecycle } from '../src/lib/dates.js';
+
+function fixture(name) {
+  return readFileSync(new URL(`./fixtures/whois/${name}.txt`, import.meta.url), 'utf-8');
+}
+
+// Sample response per template, with the fields each one is expected to find
+const TEMPLATE_CASES = [
+  {
+    server: 'whois.verisign-grs.com',
+    registrar: 'RESERVED-Internet Assigned Numbers Authority',
+    registrarInfo: { url: 'http://res-dom.iana.org', ianaId: '376' },
+    dates: { created: '1995-08-14T04:00:00Z', expires: '2025-08-13T04:00:00Z', updated: '2024-08-14T07:01:34Z' },
+    status: ['clientDeleteProhibited', 'clientTransferProhibited'],
+    nameservers: ['a.iana-servers.net', 'b.iana-servers.net']
+  },
+  {
+    server: 'whois.nic.uk',
+    registrar: 'Example Registrar Ltd',
+    dates: { created: '26-Nov-1996', expires: '26-Nov-2025', updated: '11-Oct-2024' },
+    status: ['Registered until expiry date.']
+  },
+  {
+    server: 'whois.denic.de',
+    dates: { updated: '2024-03-14T08:45:33+01:00' },
+    status: ['connect'],
+    dnssec: 'signed'
+  },
+  {
+    server: 'whois.nic.fr',
+    registrar: 'EXAMPLE REGISTRAR SAS',
+    dates: { created: '2004-01-15T00:00:00Z', expires: '2025-12-31T00:00:00Z', updated: '2024-12-01T10:00:00Z' },
+    registrant: { handle: 'EX123-FRNIC', name: 'Example SA', country: 'FR', email: 'contact@example.fr' },
+    techContact: { handle: 'EX789-FRNIC', name: 'Example Hosting' }
+  },
+  {
+    server: 'whois.jprs.jp',
+    dates: { created: '2001/02/13', expires: '2026/02/28' },
+    registrant: { name: 'Example Co., Ltd.', email: 'hostmaster@example.jp' },
+    nameservers: ['ns1.example.jp', 'ns2.example.jp']
+  },
+  {
+    server: 'whois.nic.it',
+    registrar: 'Example Registrar S.r.l.',
+    dates: { created: '2000-05-09 00:00:00', expires: '2025-05-09' },
+    registrant: { organization: 'Example S.p.A.', address: 'Via Esempio 1, Milano, 20100, MI, IT' }
+  },
+  {
+    server: 'whois.domain-registry.nl',
+    registrar: 'Example Registrar B.V.',
+    dates: { created: '1999-05-27', updated: '2024-02-21' },
+    status: ['active']
+  },
+  {
+    server: 'whois.nic.ch',
+    registrar: 'Example Registrar AG',
+    dates: { created: '1996-03-12' },
+    registrant: { name: 'Example AG' }
+  },
+  {
+    server: 'whois.dns.be',
+    registrar: 'Example Registrar NV',
+    status: ['clientTransferProhibited'],
+    techContact: { organization: 'Example Registrar NV' }
+  },
+  {
+    server: 'whois.nic.cz',
+    registrar: 'REG-EXAMPLE',
+    dates: { created: '15.03.2001 12:00:00', expires: '15.03.2026' },
+    registrant: { handle: 'EXAMPLE-HOLDER', organization: 'Example s.r.o.', name: 'Jan Novak' }
+  },
+  {
+    server: 'whois.nic.at',
+    registrar: 'Example Registrar GmbH',
+    registrant: { handle: 'EX1234567-NICAT', name: 'Max Mustermann', organization: 'Example GmbH' }
+  },
+  {
+    server: 'whois.dk-hostmaster.dk',
+    dates: { created: '1998-01-19', expires: '2026-03-31' },
+    registrant: { handle: 'EXAM1-DK', name: 'Example A/S', country: 'DK' },
+    dnssec: 'signed delegation'
+  },
+  {
+    server: 'whois.iis.se',
+    registrar: 'Example Registrar AB',
+    dates: { created: '1997-11-04', expires: '2025-11-04', updated: '2024-10-02' },
+    status: ['serverUpdateProhibited']
+  },
+  {
+    server: 'whois.dns.pl',
+    registrar: 'Example Registrar Sp. z o.o.',
+    dates: { created: '1999.03.26 13:00:00', expires: '2025.03.25 14:00:00' },
+    dnssec: 'unsigned'
+  },
+  {
+    server: 'whois.auda.org.au',
+    registrar: 'Example Registrar Pty Ltd',
+    registrant: { organization: 'EXAMPLE PTY LTD', name: 'Jane Citizen' },
+    status: ['serverRenewProhibited']
+  }
+];
+
+for (const { server, nameservers = ['ns1.example.net', 'ns2.example.net'], ...expected } of TEMPLATE_CASES) {
+  test(`template for ${server}`, () => {
+    const record = defaultWhoisParsers.parse(fixture(server), server);
+
+    assert.deepEqual(record.nameservers, nameservers);
+    if (expected.registrar) assert.equal(record.registrar, expected.registrar);
+    if (expected.registrarInfo) assert.deepEqual(record.registrarInfo, expected.registrarInfo);
+    if (expected.status) assert.deepEqual(record.status, expected.status);
+    if (expected.dnssec) assert.equal(record.dnssec, expected.dnssec);
+    for (const [type, date] of Object.entries(expected.dates || {})) {
+      assert.equal(record.dates[type], date, `dates.${type}`);
+    }
+    for (const contact of ['registrant', 'techContact']) {
+      if (expected[contact]) assert.deepEqual(pick(record[contact], expected[contact]), expected[contact]);
+    }
+  });
+}
+
+function pick(object, shape) {
+  return Object.fromEntries(Object.keys(shape).map((key) => [key, object?.[key]]));
+}
+
+test('servers without a template read the ICANN keys', () => {
+  const record = defaultWhoisParsers.parse(fixture('icann-untemplated'), 'whois.nic.shop');
+
+  assert.equal(record.registrar, 'Example Registrar, LLC');
+  assert.deepEqual(record.registrarInfo, {
+    ianaId: '9999',
+    abuseEmail: 'abuse@registrar.example',
+    abusePhone: '+1.5555550100'
+  });
+  assert.equal(record.dates.expires, '2034-09-12T23:59:59Z');
+  assert.deepEqual(record.status, ['clientTransferProhibited']);
+});
+
+test('a direct lookup against an untemplated ICANN-format server has lifecycle and registrar fields', async (t) => {
+  const server = net.createServer((socket) => {
+    socket.once('data', () => socket.end(fixture('icann-untemplated')));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const client = new WhoisClient({
+    registryDetector: new RegistryDetector({ whoisOverrides: { shop: `127.0.0.1:${server.address().port}` } }),
+    sources: ['whois-direct'],
+    cache: new LookupCache()
+  });
+
+  const result = await client.lookupDomain('example.shop');
+  const record = normalizeResult({ ...result, method: 'whois' });
+
+  assert.equal(record.registrar.iana_id, '9999');
+  assert.equal(record.registrar.abuse_email, 'abuse@registrar.example');
+  assert.equal(record.dates.expires, '2034-09-12T23:59:59Z');
+  assert.notEqual(computeLifecycle(record.dates).days_until_expiry, null);
+});